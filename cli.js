@@ -0,0 +1,258 @@
+#!/usr/bin/env node
+// The emone command transcribes Latin text into standalone SVG files of
+// emonë script, using the same transcriber and stroke templates as the web
+// scribe.
+//
+//     emone [options] [text...]
+//
+// With text arguments, the words are transcribed together as one line.
+// With --file, each named file is transcribed into an SVG file of the same
+// name.
+// With --model, each named model, saved in the interchange format (see
+// interchange.js), is rendered into an SVG file of the same name.
+// With none of these, the text comes from standard input.
+// With --json, the command writes models in the interchange format instead
+// of SVG.
+// With --paper, the command lays the glyphs out on pages of paper (see
+// pages.js) and writes an SVG file for each page, numbered after the name of
+// the output, like story-1.svg and story-2.svg.
+
+import {mkdir, readFile, writeFile} from 'node:fs/promises';
+import {basename, dirname, extname, join, resolve} from 'node:path';
+import {fileURLToPath} from 'node:url';
+import {parseArgs} from 'node:util';
+import {transcribe} from './transcribe.js';
+import {writeModel, readModel} from './interchange.js';
+import {parseTemplates, renderSvg} from './render.js';
+import {pageLayout, renderPages} from './pages.js';
+import * as romanizations from './romanization.js';
+
+const usage = `usage: emone [options] [text...]
+
+Transcribes text into emonë script and writes it as SVG, or as a model that
+the command or the web scribe can render again.
+
+options:
+  -o, --output <path>     where to write the rendering of the text arguments
+                          or standard input (default: standard output)
+  -f, --file <path>       transcribe a file to an SVG file of the same name;
+                          may be repeated
+  -m, --model <path>      render a model saved with --json to an SVG file of
+                          the same name; may be repeated
+  -d, --out-dir <path>    where to write the renderings of --file and --model
+                          inputs (default: beside each input)
+  -j, --json              write models in the interchange format rather than
+                          SVG
+  -t, --templates <path>  the stroke templates (default: emone.svg beside
+                          this command)
+  -r, --romanization <name|path>
+                          how to read the text: latin (the default), strict,
+                          ipa, xsampa, or the path of a JSON romanization
+                          profile
+  -c, --columns <n>       wrap lines between words to fit n columns of glyphs
+  -D, --direction <name>  the direction of writing: ltr (the default), rtl,
+                          ttb, or boustrophedon
+  -p, --paper <name>      write an SVG file for each page of paper: a4, a5,
+                          letter, or legal, wrapping lines to fit
+      --margin <mm>       the margin of each page in millimeters (default: 20)
+      --glyph-size <mm>   the width of a glyph on the page in millimeters
+                          (default: 12)
+  -s, --source            print the source text beneath each line on the pages
+  -h, --help              show this message
+`;
+
+const options = {
+    output: {type: 'string', short: 'o'},
+    file: {type: 'string', short: 'f', multiple: true, default: []},
+    model: {type: 'string', short: 'm', multiple: true, default: []},
+    'out-dir': {type: 'string', short: 'd'},
+    templates: {type: 'string', short: 't'},
+    romanization: {type: 'string', short: 'r', default: 'latin'},
+    columns: {type: 'string', short: 'c'},
+    direction: {type: 'string', short: 'D', default: 'ltr'},
+    json: {type: 'boolean', short: 'j'},
+    paper: {type: 'string', short: 'p'},
+    margin: {type: 'string', default: '20'},
+    'glyph-size': {type: 'string', default: '12'},
+    source: {type: 'boolean', short: 's'},
+    help: {type: 'boolean', short: 'h'},
+};
+
+async function main(args) {
+    const {values, positionals} = parseArgs({args, options, allowPositionals: true});
+
+    if (values.help) {
+        process.stdout.write(usage);
+        return;
+    }
+
+    const templatesPath = values.templates ||
+        join(dirname(fileURLToPath(import.meta.url)), 'emone.svg');
+    const templates = new Map();
+    parseTemplates(await readFile(templatesPath, 'utf8'), templates);
+
+    const romanization = await loadRomanization(values.romanization);
+
+    let columns;
+    if (values.columns != null) {
+        columns = Number(values.columns);
+        if (!Number.isInteger(columns) || columns < 1) {
+            throw new Error(`--columns must be a positive whole number, not ${JSON.stringify(values.columns)}`);
+        }
+    }
+
+    // layoutFor lays out pages for the direction of a model, if the pages
+    // are wanted.
+    function layoutFor(direction) {
+        if (values.paper == null) {
+            return null;
+        }
+        return pageLayout({
+            paper: values.paper,
+            margin: Number(values.margin),
+            glyph: Number(values['glyph-size']),
+            source: values.source,
+            direction,
+        });
+    }
+
+    // Lines wrap to fit the pages, if not narrower.
+    const layout = layoutFor(values.direction);
+    if (layout != null) {
+        columns = columns == null ? layout.columns : Math.min(columns, layout.columns);
+    }
+
+    // draw transcribes text, reporting any diagnostics with the name of the
+    // input and the line and column of the offending letters.
+    function draw(text, name) {
+        const trimmed = text.trimStart();
+        const origin = text.length - trimmed.length;
+        const model = transcribe(trimmed.trimEnd(), {romanization, columns, direction: values.direction});
+        for (const {code, message, offset} of model.diagnostics) {
+            const {line, column} = locate(text, offset + origin);
+            console.error(`${name}:${line}:${column}: ${message} (${code})`);
+        }
+        return write(model);
+    }
+
+    // write returns the text of each output for a model, with the suffix of
+    // its name: one model or SVG document, or a numbered SVG document for
+    // each page.
+    function write(model) {
+        if (values.json) {
+            return [{suffix: '', text: writeModel(model)}];
+        }
+        const pages = layoutFor(model.direction);
+        if (pages == null) {
+            return [{suffix: '', text: renderSvg(model, templates)}];
+        }
+        return renderPages(model, templates, pages).map((text, index) => ({suffix: `-${index + 1}`, text}));
+    }
+
+    const extension = values.json ? '.json' : '.svg';
+
+    // targetOf names an output for an input file, refusing to overwrite the
+    // input, as rewriting a model with --json would.
+    function targetOf(path, suffix) {
+        const directory = values['out-dir'] || dirname(path);
+        const target = join(directory, basename(path, extname(path)) + suffix + extension);
+        if (resolve(target) === resolve(path)) {
+            throw new Error(`${path} would overwrite itself; choose another --out-dir`);
+        }
+        return target;
+    }
+
+    // writeOutputs creates the output directory, if need be, as it writes.
+    async function writeOutputs(path, outputs) {
+        for (const {suffix, text} of outputs) {
+            const target = targetOf(path, suffix);
+            await mkdir(dirname(target), {recursive: true});
+            await writeFile(target, text);
+        }
+    }
+
+    for (const path of values.file) {
+        await writeOutputs(path, draw(await readFile(path, 'utf8'), path));
+    }
+
+    for (const path of values.model) {
+        let model;
+        try {
+            model = readModel(await readFile(path, 'utf8'));
+        } catch (error) {
+            throw new Error(`${path}: ${error.message}`);
+        }
+        await writeOutputs(path, write(model));
+    }
+
+    if (positionals.length > 0 || (values.file.length === 0 && values.model.length === 0)) {
+        const standardOutput = values.output == null || values.output === '-';
+        if (standardOutput && layout != null && !values.json) {
+            throw new Error('--paper writes a file for each page, so it needs --output');
+        }
+        const text = positionals.length > 0 ?
+            positionals.join(' ') :
+            await readStream(process.stdin);
+        const outputs = draw(text, positionals.length > 0 ? '<arguments>' : '<stdin>');
+        if (standardOutput) {
+            process.stdout.write(outputs[0].text);
+        } else {
+            // Pages are numbered after the name of the output.
+            const extension = extname(values.output);
+            const stem = join(dirname(values.output), basename(values.output, extension));
+            await mkdir(dirname(values.output), {recursive: true});
+            for (const {suffix, text} of outputs) {
+                await writeFile(stem + suffix + extension, text);
+            }
+        }
+    }
+}
+
+// loadRomanization accepts the name of a built-in romanization profile or the
+// path of a JSON file containing one.
+async function loadRomanization(name) {
+    if (Object.hasOwn(romanizations, name)) {
+        return romanizations[name];
+    }
+    let text;
+    try {
+        text = await readFile(name, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new Error(`unknown romanization ${JSON.stringify(name)}, expected latin, strict, ipa, xsampa, or the path of a JSON profile`);
+        }
+        throw error;
+    }
+    let profile;
+    try {
+        profile = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`${name}: ${error.message}`);
+    }
+    // The transcriber compiles the spellings of a profile, so a profile must
+    // have them at the least.
+    if (profile == null || typeof profile.spellings !== 'object' || profile.spellings == null || Array.isArray(profile.spellings)) {
+        throw new Error(`${name}: a romanization profile needs a spellings object`);
+    }
+    return profile;
+}
+
+// locate finds the one-based line and column of an offset in text.
+function locate(text, offset) {
+    const before = text.slice(0, offset).split('\n');
+    return {line: before.length, column: before[before.length - 1].length + 1};
+}
+
+async function readStream(stream) {
+    let text = '';
+    stream.setEncoding('utf8');
+    for await (const chunk of stream) {
+        text += chunk;
+    }
+    return text;
+}
+
+main(process.argv.slice(2)).catch((error) => {
+    console.error(`emone: ${error.message}`);
+    process.exitCode = 1;
+});
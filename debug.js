@@ -0,0 +1,154 @@
+// The trace panel shows how the aligner arrived at a rendering, one step per
+// phoneme, with the state of the aligner, the glyph in progress, the
+// connectors it carried forward, and the glyphs it emitted along the way.
+//
+// makeTracePanel accepts the panel element, and a callback that receives the
+// selected step, or null, so the scribe can highlight the corresponding
+// letters and cells.
+// The returned tracer collects the events of one transcription.
+
+export const positions = ['west', 'north', 'center', 'south', 'east'];
+
+export function makeTracePanel(element, onStep) {
+    const list = element.querySelector('.steps');
+    const status = element.querySelector('.status');
+    let steps = [];
+    let events = [];
+    let current = -1;
+
+    element.querySelector('.previous').addEventListener('click', () => {
+        select(Math.max(0, current - 1));
+    });
+    element.querySelector('.next').addEventListener('click', () => {
+        select(Math.min(steps.length - 1, current + 1));
+    });
+    list.addEventListener('click', (event) => {
+        const row = event.target.closest('tr');
+        if (row != null && row.dataset.step != null) {
+            select(+row.dataset.step);
+        }
+    });
+
+    function tracer(event) {
+        events.push(event);
+    }
+
+    // show presents the events collected since the last transcription, if
+    // any, and restores the highlights for the selected step after the
+    // scribe redraws.
+    function show() {
+        if (events.length > 0) {
+            steps = group(events);
+            events = [];
+            list.innerHTML = '';
+            steps.forEach((step, index) => {
+                list.appendChild(row(step, index));
+            });
+        }
+        select(current < steps.length ? current : -1);
+    }
+
+    function select(index) {
+        current = index;
+        for (const row of list.querySelectorAll('.current')) {
+            row.classList.remove('current');
+        }
+        const row = list.children[index];
+        if (row != null) {
+            row.classList.add('current');
+            row.scrollIntoView({block: 'nearest'});
+        }
+        status.textContent = steps.length === 0 ? 'no steps' :
+            `step ${index + 1} of ${steps.length}`;
+        onStep(steps[index] || null);
+    }
+
+    // The tracer only collects events while the panel is open, to keep typing
+    // fast otherwise.
+    return {
+        get tracer() {
+            return element.open ? tracer : undefined;
+        },
+        show,
+    };
+}
+
+// group gathers each aligner step with the letters that preceded it and the
+// glyphs it emitted.
+export function group(events) {
+    const steps = [];
+    let letters = [];
+    for (const event of events) {
+        if (event.type === 'letter') {
+            letters.push(event.letter);
+        } else if (event.type === 'step') {
+            steps.push({...event, letters: letters.join(''), emitted: []});
+            letters = [];
+        } else if (event.type === 'emit' && steps.length > 0) {
+            steps[steps.length - 1].emitted.push(event.glyph);
+        }
+    }
+    return steps;
+}
+
+function row(step, index) {
+    const row = document.createElement('tr');
+    row.dataset.step = index;
+    const cells = [
+        index + 1,
+        step.state,
+        JSON.stringify(step.letters),
+        describePhoneme(step.phoneme),
+        describeTerm(step.term),
+        Object.entries(step.connectors || {})
+            .map(([name, connector]) => `${name}: ${describeTerm(connector) || 'none'}`)
+            .join('; '),
+        step.emitted.map(describeTerm).join('; '),
+    ];
+    for (const text of cells) {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+    }
+    return row;
+}
+
+export function describePhoneme(phoneme) {
+    if (phoneme == null) {
+        return 'end';
+    }
+    switch (phoneme.type) {
+    case 'consonant':
+        return `consonant ${phoneme.consonant}`;
+    case 'vowel':
+        return `vowel ${phoneme.vowel}`;
+    case 'diphthong':
+        return `diphthong ${phoneme.first}${phoneme.second}`;
+    case 'numeral':
+        return `numeral ${phoneme.digits}`;
+    case 'quote':
+        return `quote ${phoneme.side}`;
+    case 'error':
+        return `error ${phoneme.message}`;
+    }
+    return phoneme.type;
+}
+
+// describeTerm summarizes a glyph or connector, like "(1, 0) center m
+// south e*", where an asterisk marks a placeholder.
+export function describeTerm(term) {
+    const placeholders = term.placeholders || [];
+    const parts = positions
+        .filter((position) => term[position] != null)
+        .map((position) => `${position} ${term[position]}${placeholders.includes(position) ? '*' : ''}`);
+    if (term.numeral != null) {
+        parts.push(`numeral ${term.numeral}`);
+    }
+    if (term.punctuation != null) {
+        parts.push(term.punctuation);
+    }
+    if (term.x != null) {
+        parts.unshift(`(${term.x}, ${term.y})`);
+    }
+    return parts.join(' ');
+}
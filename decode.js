@@ -0,0 +1,295 @@
+// The decoder reads a glyph model back into Latin text, reversing the
+// transcriber.
+//
+// The aligner emits glyph cells in the order one writes them, zig-zagging
+// between the high and low rows of each line, so the decoder visits the
+// cells in the same order, line by line, column by column, and high row
+// before low, and reads the phonemes on each cell from west, north, center,
+// south, to east.
+// A single vowel between two consonants appears on both of the cells that it
+// connects, so the decoder reads it only once.
+// A diphthong takes the same step of the zig-zag, with its first vowel on
+// one cell and its second on the other, so two different vowels across one
+// step read as a diphthong, and vowels on steps of their own as vowels apart.
+// Placeholder consonants and vowels, which the aligner inserts to bridge
+// clusters, are dropped, but a placeholder of some other consonant or vowel
+// than the aligner's "m" and "e" reads as a placeholder tag, like
+// "{o:placeholder}".
+// Words are separated wherever the zig-zag is broken, and lines wherever the
+// glyphs move down to the next pair of rows.
+// The digits of a numeral are linked the same way.
+//
+// The decoder spells each word so that it reads back the same way, writing
+// the syllable break of the romanization profile between spellings that would
+// otherwise run together, like "n'g", and between vowels apart, like "na'ik",
+// or else a tag for a reading that the spelling alone does not give, like
+// "{w:vowel}" for a semivowel that begins a word as a vowel.
+// A diaeresis reads as a syllable break before its vowel, so "naïk" decodes
+// as "na'ik", which reads back the same.
+//
+// The script does not capture everything about the text, so decoding is not
+// always the inverse of transcription.
+// For example, two identical vowels look like one vowel between consonants,
+// and a word that ends on a low vowel runs into the next word.
+// A placeholder "e" or "m" reads as one the aligner inserted, even where a
+// tag put it.
+// A numeral always reads as a word of its own, even if it was written against
+// a word in the text, like "4th".
+// Punctuation reads with the spacing of prose, so periods, commas, question
+// marks, and closing quotation marks follow a word directly, and a word
+// follows an opening quotation mark directly.
+// Quotation marks read as straight quotation marks.
+
+import {latin} from './romanization.js';
+import {parse} from './transcribe.js';
+
+// decode receives a glyph model, as produced by transcribe, and returns the
+// phonemes it represents, along with their spelling in a romanization
+// profile, the latin profile by default.
+export function decode(model, {romanization = latin} = {}) {
+    const phonemes = [];
+    let previous = null;
+    for (const glyph of ordered(model.glyphs)) {
+        if (glyph.empty) {
+            // An empty glyph only bears errors.
+            continue;
+        }
+        const placeholders = glyph.placeholders || [];
+        let linked = false;
+
+        if (glyph.numeral != null && previous != null && previous.numeral != null && continues(previous, glyph)) {
+            const last = phonemes[phonemes.length - 1];
+            phonemes[phonemes.length - 1] = {...last, digits: last.digits + glyph.numeral};
+            previous = glyph;
+            continue;
+        }
+
+        if (previous != null) {
+            const lines = line(glyph) - line(previous);
+            if (lines > 0) {
+                for (let i = 0; i < lines; i++) {
+                    phonemes.push({type: 'newline'});
+                }
+            } else {
+                linked = previous.numeral == null && glyph.numeral == null && follows(previous, glyph);
+                if (!linked && !closes(glyph) && previous.punctuation !== 'quote-open') {
+                    phonemes.push({type: 'space'});
+                }
+            }
+        }
+
+        if (glyph.numeral != null) {
+            phonemes.push({type: 'numeral', digits: glyph.numeral});
+            previous = glyph;
+            continue;
+        }
+        if (glyph.punctuation != null) {
+            phonemes.push(punctuation(glyph.punctuation));
+            previous = glyph;
+            continue;
+        }
+
+        for (const position of positions) {
+            const symbol = glyph[position];
+            if (symbol == null) {
+                continue;
+            }
+            const placeholder = placeholders.includes(position);
+            const across = entries[position];
+            if (linked && across != null && previous[across] != null &&
+                placeholder === (previous.placeholders || []).includes(across)) {
+                if (previous[across] === symbol) {
+                    // The vowel of the step, read on the cell before.
+                    continue;
+                }
+                const last = phonemes[phonemes.length - 1];
+                if (!placeholder && last.type === 'vowel' && !last.placeholder) {
+                    phonemes[phonemes.length - 1] = {type: 'diphthong', first: last.vowel, second: symbol};
+                    continue;
+                }
+            }
+            const type = position === 'center' ? 'consonant' : 'vowel';
+            if (placeholder) {
+                if (symbol !== defaultPlaceholders[type]) {
+                    phonemes.push({type, [type]: symbol, placeholder: true});
+                }
+            } else {
+                phonemes.push({type, [type]: symbol});
+            }
+        }
+
+        previous = glyph;
+    }
+
+    return {phonemes, text: spell(phonemes, romanization)};
+}
+
+// The positions of the phonemes on a cell, in the order they read, and the
+// position across the step from the cell before for each position where the
+// zig-zag enters a cell.
+const positions = ['west', 'north', 'center', 'south', 'east'];
+const entries = {west: 'east', north: 'south'};
+
+// The consonant and vowel that the aligner inserts to bridge clusters.
+const defaultPlaceholders = {consonant: 'm', vowel: 'e'};
+
+// ordered returns the glyphs in the order of writing, since a model edited
+// by hand may list them in any order.
+function ordered(glyphs) {
+    return [...glyphs].sort((a, b) => line(a) - line(b) || a.x - b.x || a.y - b.y);
+}
+
+// Each line of text occupies a high and a low row of cells.
+function line(glyph) {
+    return Math.floor(glyph.y / 2);
+}
+
+// follows determines whether a glyph continues the word of the previous
+// glyph, by stepping down from the high row or up from the low row
+// of the zig-zag, with a connecting stroke across the step.
+// A vowel that the aligner carries across a step appears on both cells,
+// unless one long stroke draws it across the step, from the previous cell
+// alone (see embelish in transcribe.js).
+// Where the vowel does not carry across, because a vowel apart follows it,
+// the aligner bridges the step with a placeholder consonant instead.
+// The aligner only writes a vowel on the north of a cell on the high row for
+// the first vowel of a word, so the word before must end there.
+function follows(previous, glyph) {
+    const bridged = glyph.center != null && (glyph.placeholders || []).includes('center');
+    if (glyph.x === previous.x && glyph.y === previous.y + 1) {
+        return glyph.north != null || crosses(previous, 'south') || bridged;
+    }
+    if (glyph.x === previous.x + 1 && glyph.y === previous.y - 1) {
+        return glyph.north == null && (glyph.west != null || crosses(previous, 'east') || bridged);
+    }
+    return false;
+}
+
+// crosses determines whether the vowel on a side of a glyph is drawn with a
+// long stroke, like "i-east-inner-inner", that reaches across the step to
+// the next glyph.
+function crosses(glyph, position) {
+    const vowel = glyph[position];
+    return vowel != null && (glyph.strokes || []).some((stroke) =>
+        stroke.startsWith(`${vowel}-${position}-`) && stroke.split('-').length === 4);
+}
+
+// continues determines whether a digit continues the numeral of the previous
+// digit, following its link.
+function continues(previous, glyph) {
+    if (previous.link === 'south') {
+        return glyph.x === previous.x && glyph.y === previous.y + 1;
+    }
+    if (previous.link === 'east') {
+        return glyph.x === previous.x + 1 && glyph.y === previous.y - 1;
+    }
+    return false;
+}
+
+function closes(glyph) {
+    return glyph.punctuation != null && glyph.punctuation !== 'quote-open';
+}
+
+// punctuation reads the phoneme for the name of a punctuation glyph, like
+// "period" or "quote-open".
+function punctuation(name) {
+    const [type, side] = name.split('-');
+    return side == null ? {type} : {type, side};
+}
+
+// spellings finds the preferred spelling of each symbol in a romanization
+// profile: the symbol itself, if the profile accepts it, or else the shortest
+// spelling of the symbol alone.
+function spellings(romanization) {
+    const preferred = {};
+    for (const [letters, symbols] of Object.entries(romanization.spellings)) {
+        if (symbols.length !== 1) {
+            continue;
+        }
+        const [symbol] = symbols;
+        const current = preferred[symbol];
+        if (current == null || letters === symbol || (current !== symbol && letters.length < current.length)) {
+            preferred[symbol] = letters;
+        }
+    }
+    return preferred;
+}
+
+// spell writes phonemes in a romanization profile.
+// Each word is spelled phoneme by phoneme, with the first spelling of each
+// phoneme that reads back as the word so far: its letters, or its letters
+// after a syllable break, or else a tag.
+function spell(phonemes, romanization) {
+    const preferred = spellings(romanization);
+    const letters = (symbol) => preferred[symbol] != null ? preferred[symbol] : symbol;
+    let text = '';
+    let word = [];
+    let spelled = '';
+    for (const phoneme of phonemes) {
+        if (!isSpelled(phoneme)) {
+            text += spelled + separator(phoneme);
+            word = [];
+            spelled = '';
+            continue;
+        }
+        word.push(phoneme);
+        const candidates = [];
+        if (!phoneme.placeholder) {
+            const plain = phoneme.type === 'diphthong' ?
+                letters(phoneme.first) + letters(phoneme.second) :
+                letters(phoneme[phoneme.type]);
+            candidates.push(spelled + plain);
+            if (preferred.break != null && spelled.length > 0) {
+                candidates.push(spelled + preferred.break + plain);
+            }
+        }
+        candidates.push(spelled + tag(phoneme));
+        spelled = candidates.find((candidate) => readsAs(candidate, word, romanization)) ||
+            candidates[candidates.length - 1];
+    }
+    return text + spelled;
+}
+
+function isSpelled({type}) {
+    return type === 'consonant' || type === 'vowel' || type === 'diphthong';
+}
+
+function separator(phoneme) {
+    switch (phoneme.type) {
+    case 'numeral':
+        return phoneme.digits;
+    case 'period':
+        return '.';
+    case 'comma':
+        return ',';
+    case 'question':
+        return '?';
+    case 'quote':
+        return '"';
+    case 'space':
+        return ' ';
+    case 'newline':
+        return '\n';
+    }
+    return '';
+}
+
+// tag writes the markup tag that reads as a phoneme (see transcribe.js).
+function tag(phoneme) {
+    if (phoneme.type === 'diphthong') {
+        return `{${phoneme.first}${phoneme.second}:diphthong}`;
+    }
+    return `{${phoneme[phoneme.type]}:${phoneme.placeholder ? 'placeholder' : phoneme.type}}`;
+}
+
+// readsAs determines whether the spelling of a word reads back as its
+// phonemes.
+function readsAs(text, word, romanization) {
+    const read = parse(text, {romanization});
+    return read.length === word.length && read.every((phoneme, index) => same(phoneme, word[index]));
+}
+
+function same(a, b) {
+    return a.type === b.type && a.consonant === b.consonant && a.vowel === b.vowel &&
+        a.first === b.first && a.second === b.second && !a.placeholder === !b.placeholder;
+}
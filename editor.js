@@ -0,0 +1,94 @@
+// The scribe's text box is a content-editable element, where the browser
+// represents line breaks with a mix of text, <br> and block elements.
+// readText flattens such an element into plain text, and keeps enough of a
+// map to translate offsets in that text back and forth to positions in the
+// DOM, so that ranges of the text can be highlighted or selected.
+
+const blocks = {
+    DIV: true,
+    P: true,
+    LI: true,
+};
+
+export function readText(element) {
+    let text = '';
+    const segments = [];
+    const starts = new Map();
+    const ends = new Map();
+
+    function visit(node) {
+        starts.set(node, text.length);
+        if (node.nodeType === Node.TEXT_NODE) {
+            segments.push({node, start: text.length});
+            text += node.data;
+        } else if (node.nodeName === 'BR') {
+            segments.push({node, start: text.length});
+            text += '\n';
+        } else {
+            if (node !== element && blocks[node.nodeName] && text.length > 0 && !text.endsWith('\n')) {
+                text += '\n';
+                starts.set(node, text.length);
+            }
+            for (const child of node.childNodes) {
+                visit(child);
+            }
+        }
+        ends.set(node, text.length);
+    }
+    visit(element);
+
+    // locate returns the DOM node and offset for an offset in the text.
+    function locate(offset) {
+        for (let i = segments.length - 1; i >= 0; i--) {
+            const {node, start} = segments[i];
+            if (start <= offset) {
+                if (node.nodeType === Node.TEXT_NODE) {
+                    return {node, offset: Math.min(offset - start, node.data.length)};
+                }
+                const parent = node.parentNode;
+                const index = Array.prototype.indexOf.call(parent.childNodes, node);
+                return {node: parent, offset: offset > start ? index + 1 : index};
+            }
+        }
+        return {node: element, offset: 0};
+    }
+
+    // offsetOf returns the offset in the text for a DOM node and offset, as
+    // found in a selection range.
+    function offsetOf(node, offset) {
+        if (!starts.has(node)) {
+            return null;
+        }
+        if (node.nodeType === Node.TEXT_NODE) {
+            return starts.get(node) + offset;
+        }
+        const child = node.childNodes[offset];
+        return child != null ? starts.get(child) : ends.get(node);
+    }
+
+    // range returns a DOM range spanning the given offsets of the text.
+    function range(start, end) {
+        const range = document.createRange();
+        const from = locate(start);
+        const to = locate(end);
+        range.setStart(from.node, from.offset);
+        range.setEnd(to.node, to.offset);
+        return range;
+    }
+
+    return {text, locate, offsetOf, range};
+}
+
+// writeText replaces the contents of an element with plain text, with a
+// <br> for each line break, as readText reads it.
+export function writeText(element, text) {
+    element.replaceChildren();
+    text.split('\n').forEach((line, index) => {
+        if (index > 0) {
+            element.appendChild(document.createElement('br'));
+        }
+        if (line.length > 0) {
+            element.appendChild(document.createTextNode(line));
+        }
+    });
+}
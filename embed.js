@@ -0,0 +1,202 @@
+// The emone-text element writes its text in emonë script, for pages other
+// than the scribe's own:
+//
+//     <script type="module" src="https://emone.then.land/embed.js"></script>
+//     <emone-text width="auto">Sko emone</emone-text>
+//
+// The text comes from the text attribute, if any, or else the content of the
+// element, and the element renders it again whenever either changes, or the
+// element changes size.
+// The content reads like the text of a paragraph, with its white space
+// collapsed, while the text attribute keeps its line breaks.
+// The attributes are:
+//
+// - text, the text to write, in place of the content,
+// - width, the width of a line: "auto" to wrap lines to fit the width of the
+//   element, or a number of columns of glyphs, and by default lines only
+//   break where the text does; lines written top to bottom wrap to fit the
+//   height of the window instead,
+// - scale, the size of the glyphs, as a fraction of their true size, 0.25 by
+//   default, or "fit" to shrink the whole rendering to fit the width of the
+//   element,
+// - direction, the direction of writing (see transcribe.js), ltr by default,
+// - romanization, how to read the text: latin (the default), strict, ipa, or
+//   xsampa,
+// - templates, the URL of the stroke templates, emone.svg beside this module
+//   by default.
+//
+// Attributes with values out of place take their defaults.
+// The strokes draw in the color of the element, and the rendering is the
+// part "rendering" of the element, for style sheets to reach.
+// Every element on a page that uses the same templates shares one copy of
+// them, loaded once.
+
+import {render, importTemplates, columnsFor} from './render.js';
+import {makeTranscriber, directions} from './transcribe.js';
+import * as romanizations from './romanization.js';
+
+const defaultTemplates = new URL('emone.svg', import.meta.url).href;
+
+// The size of the glyphs, as a fraction of their true size, unless the scale
+// attribute says otherwise.
+const defaultScale = 0.25;
+
+// The templates loaded for the page, as a promise of a map, by URL.
+const loaded = new Map();
+
+// loadTemplates returns a promise of the stroke templates at a URL, loading
+// them only once for the page.
+export function loadTemplates(url) {
+    if (!loaded.has(url)) {
+        loaded.set(url, (async () => {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`could not load the templates from ${url}: ${response.status}`);
+            }
+            const doc = new DOMParser().parseFromString(await response.text(), 'application/xml');
+            const templates = new Map();
+            importTemplates(doc.documentElement, templates);
+            return templates;
+        })());
+    }
+    return loaded.get(url);
+}
+
+const attributes = ['text', 'width', 'scale', 'direction', 'romanization', 'templates'];
+
+const style = `
+:host {
+    display: block;
+}
+svg {
+    display: block;
+    overflow: visible;
+}
+.diagnostic {
+    fill: none;
+    stroke: #c0392b;
+    stroke-width: 8;
+    stroke-dasharray: 16 12;
+}
+`;
+
+// makeEmbedding renders the text of an emone-text element into its shadow
+// root.
+// The update method renders the element again, at most once per frame, once
+// the templates are ready.
+function makeEmbedding(host) {
+    const shadow = host.attachShadow({mode: 'open'});
+    const sheet = document.createElement('style');
+    sheet.textContent = style;
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    svg.setAttribute('part', 'rendering');
+    shadow.append(sheet, svg);
+
+    // The transcriber for the current options, which only transcribes the
+    // lines that changed, until the options change.
+    let transcriber;
+    let transcriberKey;
+    let pending = false;
+    // Each update abandons the updates before it that still await their
+    // templates.
+    let generation = 0;
+
+    function update() {
+        if (pending) {
+            return;
+        }
+        pending = true;
+        requestAnimationFrame(() => {
+            pending = false;
+            draw();
+        });
+    }
+
+    async function draw() {
+        const run = ++generation;
+        const url = host.getAttribute('templates') || defaultTemplates;
+        let templates;
+        try {
+            templates = await loadTemplates(url);
+        } catch (error) {
+            console.error(`emone-text: ${error.message}`);
+            return;
+        }
+        if (run !== generation || !host.isConnected) {
+            return;
+        }
+        const {scale, columns, romanization, direction} = options();
+        const key = JSON.stringify({columns, romanization, direction});
+        if (transcriber == null || key !== transcriberKey) {
+            transcriber = makeTranscriber({romanization: romanizations[romanization], columns, direction});
+            transcriberKey = key;
+        }
+        const text = host.hasAttribute('text') ? host.getAttribute('text') :
+            host.textContent.replace(/\s+/g, ' ');
+        const model = transcriber(text.trim());
+        render(svg, model, templates, {x: Infinity, y: Infinity});
+
+        // render draws at the true size, and the element scales the view of
+        // the whole drawing itself, so that it takes only the room it shows.
+        const width = +svg.getAttribute('width');
+        const height = +svg.getAttribute('height');
+        const factor = scale === 'fit' ? Math.min(1, host.clientWidth / width) : scale;
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        svg.setAttribute('width', width * factor);
+        svg.setAttribute('height', height * factor);
+        svg.style.transform = '';
+    }
+
+    // options reads the attributes of the element, with defaults for values
+    // out of place.
+    function options() {
+        const scaleValue = host.getAttribute('scale');
+        const scale = scaleValue === 'fit' ? 'fit' :
+            Number(scaleValue) > 0 ? Number(scaleValue) :
+            defaultScale;
+        const direction = directions.includes(host.getAttribute('direction')) ? host.getAttribute('direction') : 'ltr';
+        const widthValue = host.getAttribute('width');
+        // The height of the element follows from its rendering, so lines
+        // written top to bottom wrap to fit the window instead.
+        const room = direction === 'ttb' ? window.innerHeight : host.clientWidth;
+        const columns = widthValue === 'auto' ? columnsFor(room / (scale === 'fit' ? defaultScale : scale)) :
+            Number.isInteger(Number(widthValue)) && Number(widthValue) > 0 ? Number(widthValue) :
+            undefined;
+        const romanizationValue = host.getAttribute('romanization');
+        const romanization = Object.hasOwn(romanizations, romanizationValue) ? romanizationValue : 'latin';
+        return {scale, columns, romanization, direction};
+    }
+
+    return {update};
+}
+
+// The element observes its content and its size for as long as it is on the
+// page.
+if (typeof customElements !== 'undefined' && customElements.get('emone-text') == null) {
+    customElements.define('emone-text', class extends HTMLElement {
+        static observedAttributes = attributes;
+
+        constructor() {
+            super();
+            this.embedding = makeEmbedding(this);
+            const update = () => this.embedding.update();
+            this.mutations = new MutationObserver(update);
+            this.resizes = new ResizeObserver(update);
+        }
+
+        connectedCallback() {
+            this.mutations.observe(this, {childList: true, characterData: true, subtree: true});
+            this.resizes.observe(this);
+            this.embedding.update();
+        }
+
+        disconnectedCallback() {
+            this.mutations.disconnect();
+            this.resizes.disconnect();
+        }
+
+        attributeChangedCallback() {
+            this.embedding.update();
+        }
+    });
+}
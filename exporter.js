@@ -0,0 +1,106 @@
+// The export menu saves the rendering as a standalone SVG file or a PNG
+// image, or copies it to the clipboard as an image.
+//
+// makeExportMenu accepts the menu element, a function that returns the text
+// of the current rendering as a standalone SVG document, like renderSvg, and
+// a function that returns the text of the current model in the interchange
+// format, like writeModel (see interchange.js).
+// The exports are always the true size of the artwork, regardless of how the
+// scribe scales the rendering to fit the window, and the PNG export and the
+// clipboard multiply the true size by the chosen scale.
+
+export function makeExportMenu(element, draw, save) {
+    const status = element.querySelector('.status');
+    const scaleElement = element.querySelector('.scale');
+    const transparentElement = element.querySelector('.transparent');
+
+    element.querySelector('.svg').addEventListener('click', () => {
+        download(new Blob([draw()], {type: 'image/svg+xml'}), 'emone.svg');
+        report('saved emone.svg');
+    });
+
+    element.querySelector('.model').addEventListener('click', () => {
+        download(new Blob([save()], {type: 'application/json'}), 'emone.json');
+        report('saved emone.json');
+    });
+
+    element.querySelector('.png').addEventListener('click', async () => {
+        try {
+            download(await png(), 'emone.png');
+            report('saved emone.png');
+        } catch (error) {
+            report(`could not save: ${error.message}`);
+        }
+    });
+
+    element.querySelector('.copy').addEventListener('click', async () => {
+        if (navigator.clipboard == null || typeof ClipboardItem === 'undefined') {
+            report('this browser cannot copy images');
+            return;
+        }
+        try {
+            // Some browsers require the clipboard item before the image is
+            // ready, so the item receives the promise of the image.
+            await navigator.clipboard.write([new ClipboardItem({'image/png': png()})]);
+            report('copied');
+        } catch (error) {
+            report(`could not copy: ${error.message}`);
+        }
+    });
+
+    function png() {
+        return rasterize(draw(), +scaleElement.value, transparentElement.checked);
+    }
+
+    function report(message) {
+        status.textContent = message;
+    }
+}
+
+// rasterize draws the text of an SVG document into a PNG image, scaled from
+// its true size, over a white background unless transparent.
+async function rasterize(svg, scale, transparent) {
+    const url = URL.createObjectURL(new Blob([svg], {type: 'image/svg+xml'}));
+    try {
+        const image = new Image();
+        image.src = url;
+        await image.decode();
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+        canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+        const context = canvas.getContext('2d');
+        if (!transparent) {
+            context.fillStyle = '#ffffff';
+            context.fillRect(0, 0, canvas.width, canvas.height);
+        }
+        context.drawImage(image, 0, 0, canvas.width, canvas.height);
+        return await new Promise((resolve, reject) => {
+            canvas.toBlob((blob) => {
+                if (blob == null) {
+                    reject(new Error('the image is too large'));
+                } else {
+                    resolve(blob);
+                }
+            }, 'image/png');
+        });
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+// download saves a blob as a file.
+// The browser may only begin reading the object URL after the click returns,
+// so the URL outlives the click for a while.
+function download(blob, name) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), revokeDelay);
+}
+
+// How long a download keeps its object URL, in milliseconds.
+const revokeDelay = 60000;
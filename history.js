@@ -0,0 +1,112 @@
+// The scribe keeps its state, the text along with the settings of the
+// toolbar, in two places: the fragment of the page's URL, so that a link
+// reproduces the exact rendering, and a history of previous transcriptions
+// in local storage, to browse and restore.
+//
+// A state is an object of strings, like {text: 'emone', direction: 'rtl'}.
+// encodeState and decodeState translate a state to and from the fragment of
+// a URL, written like URL search parameters.
+
+export function encodeState(state) {
+    return '#' + new URLSearchParams(state).toString();
+}
+
+export function decodeState(hash) {
+    return Object.fromEntries(new URLSearchParams(hash.replace(/^#/, '')));
+}
+
+// The key of the history in local storage.
+const storageKey = 'emone-history';
+
+// The history keeps this many transcriptions, most recent first.
+const capacity = 50;
+
+// The history records a state once the scribe stops typing for this many
+// milliseconds, rather than every keystroke.
+const settle = 2000;
+
+// makeHistory accepts the panel element, with a list of entries and a clear
+// button, and a callback that receives the state of an entry the scribe
+// chooses to restore.
+// The record method of the history notes the current state, and a state
+// equal to an earlier entry moves that entry to the top.
+export function makeHistory(element, restore) {
+    const list = element.querySelector('.entries');
+    let entries = load();
+    let timer;
+
+    element.querySelector('.clear').addEventListener('click', () => {
+        entries = [];
+        save(entries);
+        show();
+    });
+
+    list.addEventListener('click', (event) => {
+        const item = event.target.closest('li');
+        if (item != null) {
+            restore(entries[+item.dataset.entry].state);
+        }
+    });
+
+    function record(state) {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            const key = JSON.stringify(state);
+            entries = [
+                {state, time: Date.now()},
+                ...entries.filter((entry) => JSON.stringify(entry.state) !== key),
+            ].slice(0, capacity);
+            save(entries);
+            show();
+        }, settle);
+    }
+
+    function show() {
+        list.innerHTML = '';
+        entries.forEach(({state, time}, index) => {
+            const item = document.createElement('li');
+            item.dataset.entry = index;
+            const button = document.createElement('button');
+            button.textContent = summarize(state.text || '');
+            const stamp = document.createElement('time');
+            stamp.dateTime = new Date(time).toISOString();
+            stamp.textContent = new Date(time).toLocaleString();
+            item.append(button, ' ', stamp);
+            list.appendChild(item);
+        });
+    }
+
+    show();
+    return {record};
+}
+
+// summarize shortens a text to one line for the list of entries.
+function summarize(text) {
+    const line = text.trim().replace(/\s+/g, ' ');
+    if (line.length === 0) {
+        return '(empty)';
+    }
+    return line.length > 40 ? line.slice(0, 40) + '…' : line;
+}
+
+// Local storage may be missing, full, or hold something other than a history,
+// in which case the scribe carries on without one.
+function load() {
+    try {
+        const entries = JSON.parse(localStorage.getItem(storageKey));
+        if (!Array.isArray(entries)) {
+            return [];
+        }
+        return entries.filter((entry) => entry != null && entry.state != null && typeof entry.state === 'object');
+    } catch {
+        return [];
+    }
+}
+
+function save(entries) {
+    try {
+        localStorage.setItem(storageKey, JSON.stringify(entries));
+    } catch {
+        // The history lasts until the page closes.
+    }
+}
@@ -1,5 +1,14 @@
-import {render, importTemplates} from './render.js';
-import {transcribe} from './transcribe.js';
+import {render, renderSvg, importTemplates, parseTemplates, columnsFor, words} from './render.js';
+import {transcribe, makeTranscriber} from './transcribe.js';
+import {writeModel, readModel} from './interchange.js';
+import {readText, writeText} from './editor.js';
+import {makeTracePanel} from './debug.js';
+import {makeExportMenu} from './exporter.js';
+import {makePlayer} from './playback.js';
+import {makeInspector} from './inspector.js';
+import {encodeState, decodeState, makeHistory} from './history.js';
+import {pageLayout, renderPages} from './pages.js';
+import * as romanizations from './romanization.js';
 
 (async () => {
     let res = await fetch("emone.svg");
@@ -8,40 +17,446 @@ import {transcribe} from './transcribe.js';
     let doc = parser.parseFromString(text, "application/xml");
     let templates = new Map();
     importTemplates(doc.documentElement, templates);
+    // The exports need the templates apart from the DOM.
+    let portableTemplates = new Map();
+    parseTemplates(text, portableTemplates);
 
     const renderElement = document.querySelector("#render");
     const textElement = document.querySelector("#text");
+    const romanizationElement = document.querySelector("#romanization");
+    const wrapElement = document.querySelector("#wrap");
+    const directionElement = document.querySelector("#direction");
+    const contrastElement = document.querySelector("#contrast");
+    const paperElement = document.querySelector("#paper");
+    const sourceElement = document.querySelector("#source");
+    const pagesElement = document.querySelector("#pages");
+    const pageStyle = document.querySelector("#page-style");
+    const announcerElement = document.querySelector("#announcer");
+    const renderBox = document.querySelector("#renderbox");
+    const traceElement = document.querySelector("#trace");
+    const tracePanel = makeTracePanel(traceElement, showStep);
+    const exportElement = document.querySelector("#export");
+    makeExportMenu(exportElement, () => renderSvg(model, portableTemplates), () => writeModel(model));
+    const player = makePlayer(renderElement, document.querySelector("#playback"));
+    const inspectorElement = document.querySelector("#inspector");
+    const inspector = makeInspector(inspectorElement);
+    const historyPanel = makeHistory(document.querySelector("#history"), restore);
+    // The settings of the toolbar that a permalink or the history restores,
+    // by the name of each in the state.
+    const settings = {
+        romanization: romanizationElement,
+        wrap: wrapElement,
+        direction: directionElement,
+        contrast: contrastElement,
+        paper: paperElement,
+        source: sourceElement,
+    };
     let model;
     let size;
+    // source is the text of the editor along with a map back to the DOM.
+    // The transcriber sees the text without leading white space, so origin
+    // is the offset of the transcribed text within the editor's text.
+    let source;
+    let origin;
+    // The transcriber only transcribes the lines that changed since the last
+    // keystroke, until the options change.
+    let transcriber;
+    let columns;
+    // The position on the grid of the glyph in the inspector, if any.
+    let inspected;
+    // Whether the model came from a file rather than the text, until the
+    // text changes.
+    let opened = false;
+    // The pending announcement of the rendering, if any.
+    let announcement;
+    // The layout of the pages, if the scribe lays the text out on paper.
+    let pages = null;
+    // The object URLs of the images of the pages on display.
+    let pageUrls = [];
 
+    // measure finds the room for the rendering, between the top of the window
+    // and the toolbar.
     function measure() {
         size = {
-            x: window.innerWidth,
-            y: window.innerHeight - textElement.innerHeight,
+            x: renderBox.clientWidth,
+            y: renderBox.clientHeight,
+        };
+    }
+
+    // When wrapping lines to fit the window, the glyphs are drawn at this
+    // fraction of their true size.
+    const readingScale = 0.25;
+
+    function options() {
+        return {
+            romanization: romanizations[romanizationElement.value],
+            columns,
+            direction: directionElement.value,
         };
     }
 
+    // layout determines the number of columns for the wrap option, or to fit
+    // the pages, and starts a new transcriber if that changed.
+    // Lines written top to bottom wrap to fit the height of the window rather
+    // than its width.
+    function layout() {
+        const wrap = wrapElement.value;
+        const room = directionElement.value === 'ttb' ? size.y : size.x;
+        pages = paperElement.value === 'none' ? null : pageLayout({
+            paper: paperElement.value,
+            source: sourceElement.value === 'beneath',
+            direction: directionElement.value,
+        });
+        const wanted = pages != null ? pages.columns :
+            wrap === 'none' ? undefined :
+            wrap === 'window' ? columnsFor(room / readingScale) :
+            +wrap;
+        if (transcriber == null || wanted !== columns) {
+            columns = wanted;
+            transcriber = makeTranscriber(options());
+            return true;
+        }
+        return false;
+    }
+
     function change() {
-        console.clear();
-        model = transcribe(textElement.innerText.trim().toLowerCase());
+        opened = false;
+        source = readText(textElement);
+        const trimmed = source.text.trimStart();
+        origin = source.text.length - trimmed.length;
+        const tracer = tracePanel.tracer;
+        if (tracer != null) {
+            // Tracing requires a transcription from the beginning.
+            model = transcribe(trimmed.trimEnd(), {...options(), tracer});
+        } else {
+            model = transcriber(trimmed.trimEnd());
+        }
+        remember();
+    }
+
+    // remember keeps the state in the URL and the history.
+    function remember() {
+        const current = state();
+        window.history.replaceState(null, '', encodeState(current));
+        historyPanel.record(current);
+    }
+
+    // state gathers the text and settings that reproduce the rendering.
+    function state() {
+        const current = {text: source.text};
+        for (const [name, element] of Object.entries(settings)) {
+            current[name] = element.value;
+        }
+        return current;
+    }
+
+    // apply restores the text and settings of a state, ignoring settings the
+    // toolbar does not offer, as from an old or mangled link.
+    function apply(state) {
+        if (state.text != null) {
+            writeText(textElement, state.text);
+        }
+        for (const [name, element] of Object.entries(settings)) {
+            const value = state[name];
+            if (value != null && [...element.options].some((option) => option.value === value)) {
+                element.value = value;
+            }
+        }
+    }
+
+    function restore(state) {
+        apply(state);
+        layout();
+        transcriber = makeTranscriber(options());
+        change();
+        draw();
     }
 
     function draw() {
-        render(renderElement, model, templates, size);
+        // Wrapped lines scroll rather than shrinking to fit the window across
+        // the lines.
+        let room = size;
+        if (columns != null) {
+            room = model.direction === 'ttb' ? {...size, x: Infinity} : {...size, y: Infinity};
+        }
+        render(renderElement, model, templates, room);
+        drawPages();
+        renderBox.classList.toggle('high-contrast', contrastElement.value === 'high');
+        player.load(model);
+        highlightSelection();
+        highlightDiagnostics();
+        tracePanel.show();
+        if (inspectorElement.open) {
+            inspect();
+        }
+        announce();
     };
 
+    // drawPages shows the rendering as images of its pages in place of the
+    // live rendering, if the scribe lays the text out on paper, and sets the
+    // size of the paper for printing.
+    // A model opened from a file keeps the direction it was written in.
+    function drawPages() {
+        for (const url of pageUrls) {
+            URL.revokeObjectURL(url);
+        }
+        pageUrls = [];
+        pagesElement.innerHTML = '';
+        const paper = pages && (model.direction === pages.direction ? pages : pageLayout({...pages, direction: model.direction}));
+        pagesElement.hidden = paper == null;
+        renderElement.style.display = paper == null ? '' : 'none';
+        if (paper == null) {
+            pageStyle.textContent = '';
+            return;
+        }
+        pageStyle.textContent = `@page { size: ${paper.size.x}mm ${paper.size.y}mm; margin: 0; }`;
+        const images = renderPages(model, portableTemplates, paper);
+        images.forEach((svg, index) => {
+            const url = URL.createObjectURL(new Blob([svg], {type: 'image/svg+xml'}));
+            pageUrls.push(url);
+            const image = document.createElement('img');
+            image.src = url;
+            image.alt = `page ${index + 1} of ${images.length}`;
+            image.style.width = `${paper.size.x}mm`;
+            pagesElement.appendChild(image);
+        });
+    }
+
+    // The announcer tells assistive technology what the rendering shows once
+    // the scribe stops typing for this many milliseconds, rather than at
+    // every keystroke.
+    const announceDelay = 1000;
+
+    function announce() {
+        clearTimeout(announcement);
+        announcement = setTimeout(() => {
+            const message = summarize(model);
+            if (announcerElement.textContent !== message) {
+                announcerElement.textContent = message;
+            }
+        }, announceDelay);
+    }
+
+    // inspect explains the glyph at the inspected position, which requires a
+    // traced transcription of the text.
+    function inspect() {
+        const glyph = inspected && model.glyphs.find(({x, y}) => x === inspected.x && y === inspected.y);
+        if (glyph == null) {
+            inspector.show(null);
+            return;
+        }
+        const text = source.text.slice(origin).trimEnd();
+        const events = [];
+        // The text says nothing of how a model from a file came about.
+        if (!opened) {
+            transcribe(text, {...options(), tracer: (event) => events.push(event)});
+        }
+        inspector.show(glyph, events, text);
+    }
+
+    // showStep highlights the letters and the glyph in progress for a step
+    // of the trace.
+    function showStep(step) {
+        for (const node of renderElement.querySelectorAll('.current')) {
+            node.classList.remove('current');
+        }
+        if (step == null) {
+            highlightText(null);
+            return;
+        }
+        const {phoneme, term} = step;
+        if (phoneme != null && phoneme.source != null) {
+            highlightText(phoneme.source.start, phoneme.source.end);
+        }
+        const cell = renderElement.querySelector(`.cell[data-x="${term.x}"][data-y="${term.y}"]`);
+        if (cell != null) {
+            cell.classList.add('current');
+        }
+    }
+
+    // highlightStrokes marks the strokes that came from any of the text
+    // between two offsets of the editor's text.
+    function highlightStrokes(start, end) {
+        for (const node of renderElement.querySelectorAll('.highlight')) {
+            node.classList.remove('highlight');
+        }
+        for (const node of renderElement.querySelectorAll('.cell > [data-start]')) {
+            const strokeStart = +node.getAttribute('data-start') + origin;
+            const strokeEnd = +node.getAttribute('data-end') + origin;
+            if (strokeStart < end && start < strokeEnd) {
+                node.classList.add('highlight');
+            }
+        }
+    }
+
+    function highlightSelection() {
+        const selection = window.getSelection();
+        if (selection.rangeCount === 0 || selection.isCollapsed) {
+            highlightStrokes(0, 0);
+            return;
+        }
+        const range = selection.getRangeAt(0);
+        const start = source.offsetOf(range.startContainer, range.startOffset);
+        const end = source.offsetOf(range.endContainer, range.endOffset);
+        if (start == null || end == null) {
+            highlightStrokes(0, 0);
+            return;
+        }
+        highlightStrokes(start, end);
+    }
+
+    // highlightText marks the letters of the editor between two offsets of the
+    // transcribed text, if the browser supports custom highlights.
+    function highlightText(start, end) {
+        if (typeof CSS === 'undefined' || CSS.highlights == null) {
+            return;
+        }
+        if (start == null) {
+            CSS.highlights.delete('source');
+            return;
+        }
+        CSS.highlights.set('source', new Highlight(source.range(start + origin, end + origin)));
+    }
+
+    // highlightDiagnostics underlines the letters that the transcriber could
+    // not transcribe.
+    function highlightDiagnostics() {
+        if (typeof CSS === 'undefined' || CSS.highlights == null) {
+            return;
+        }
+        const ranges = model.diagnostics.map(({offset, length}) => {
+            return source.range(offset + origin, offset + length + origin);
+        });
+        CSS.highlights.set('diagnostic', new Highlight(...ranges));
+    }
+
     textElement.addEventListener('keyup', () => {
         change();
         draw();
     });
 
+    document.addEventListener('selectionchange', highlightSelection);
+
+    textElement.addEventListener('mousemove', (event) => {
+        const position = caretAt(event.clientX, event.clientY);
+        if (position == null) {
+            return;
+        }
+        const offset = source.offsetOf(position.node, position.offset);
+        if (offset == null) {
+            return;
+        }
+        highlightStrokes(offset, offset + 1);
+    });
+
+    textElement.addEventListener('mouseleave', highlightSelection);
+
+    renderElement.addEventListener('mouseover', (event) => {
+        const cell = event.target.closest('.cell');
+        if (cell == null || !cell.hasAttribute('data-start')) {
+            highlightText(null);
+            return;
+        }
+        highlightText(+cell.getAttribute('data-start'), +cell.getAttribute('data-end'));
+    });
+
+    renderElement.addEventListener('mouseleave', () => {
+        highlightText(null);
+    });
+
+    renderElement.addEventListener('click', (event) => {
+        const cell = event.target.closest('.cell');
+        if (cell == null) {
+            return;
+        }
+        inspected = {x: +cell.getAttribute('data-x'), y: +cell.getAttribute('data-y')};
+        inspect();
+    });
+
+    romanizationElement.addEventListener('change', () => {
+        transcriber = makeTranscriber(options());
+        change();
+        draw();
+    });
+
+    wrapElement.addEventListener('change', () => {
+        layout();
+        change();
+        draw();
+    });
+
+    directionElement.addEventListener('change', () => {
+        layout();
+        transcriber = makeTranscriber(options());
+        change();
+        draw();
+    });
+
+    paperElement.addEventListener('change', () => {
+        layout();
+        change();
+        draw();
+    });
+
+    sourceElement.addEventListener('change', () => {
+        layout();
+        change();
+        draw();
+    });
+
+    // The contrast only changes the colors of the rendering.
+    contrastElement.addEventListener('change', () => {
+        remember();
+        draw();
+    });
+
+    // An opened model shows until the text changes.
+    exportElement.querySelector('.open').addEventListener('change', async (event) => {
+        const [file] = event.target.files;
+        event.target.value = '';
+        if (file == null) {
+            return;
+        }
+        const status = exportElement.querySelector('.status');
+        try {
+            model = readModel(await file.text());
+        } catch (error) {
+            status.textContent = `could not open ${file.name}: ${error.message}`;
+            return;
+        }
+        opened = true;
+        status.textContent = `opened ${file.name}`;
+        draw();
+    });
+
+    traceElement.addEventListener('toggle', () => {
+        change();
+        draw();
+    });
+
+    // Lines that wrap to fit the window reflow as the window resizes.
     window.addEventListener('resize', () => {
         measure();
+        if (layout() && !opened) {
+            change();
+        }
         draw();
     });
 
-    change();
+    // Following a link to another state within the page restores it.
+    window.addEventListener('hashchange', () => {
+        restore(decodeState(location.hash));
+    });
+
+    // The scribe's preference for more contrast sets the default, which a
+    // permalink may override.
+    if (window.matchMedia('(prefers-contrast: more)').matches) {
+        contrastElement.value = 'high';
+    }
+    apply(decodeState(location.hash));
     measure();
+    layout();
+    change();
     draw();
 
     let range = document.createRange();
@@ -51,3 +466,35 @@ import {transcribe} from './transcribe.js';
     sel.addRange(range);
 
 })();
+
+// summarize describes a rendering in a sentence, for the announcer.
+function summarize(model) {
+    const count = words(model).length;
+    if (count === 0) {
+        return 'Nothing to render.';
+    }
+    const lines = new Set(model.glyphs.map(({y}) => Math.floor(y / 2))).size;
+    let sentence = `${plural(count, 'word')} on ${plural(lines, 'line')}`;
+    if (model.diagnostics.length > 0) {
+        const messages = model.diagnostics.map(({message}) => message).join('; ');
+        sentence += `, with ${plural(model.diagnostics.length, 'problem')}: ${messages}`;
+    }
+    return sentence + '.';
+}
+
+function plural(count, noun) {
+    return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+// caretAt returns the DOM position of the text under a point in the viewport.
+function caretAt(x, y) {
+    if (document.caretPositionFromPoint) {
+        const position = document.caretPositionFromPoint(x, y);
+        return position && {node: position.offsetNode, offset: position.offset};
+    }
+    if (document.caretRangeFromPoint) {
+        const range = document.caretRangeFromPoint(x, y);
+        return range && {node: range.startContainer, offset: range.startOffset};
+    }
+    return null;
+}
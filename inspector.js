@@ -0,0 +1,163 @@
+// The inspector explains one glyph of a rendering: the phonemes behind each
+// of its positions, its place on the grid, the states the aligner passed
+// through while writing it, the placeholder strokes it gained and why, the
+// marking of its word, if any, and the labels of the strokes it renders.
+//
+// makeInspector accepts the panel element.
+// The show method of the inspector accepts the glyph to explain, as it
+// appears in the model, the events of a traced transcription of the same
+// text (see transcribe.js), and the text itself, or null to clear the panel.
+
+import {group, positions, describePhoneme, describeTerm} from './debug.js';
+
+export function makeInspector(element) {
+    const list = element.querySelector('.facts');
+    const status = element.querySelector('.status');
+
+    function show(glyph, events, text) {
+        list.innerHTML = '';
+        if (glyph == null) {
+            status.textContent = 'click a glyph to inspect it';
+            return;
+        }
+        status.textContent = '';
+        const steps = group(events);
+        const writing = stepsOf(glyph, steps);
+
+        fact('Position', `column ${glyph.x}, row ${glyph.y} (${glyph.y % 2 === 0 ? 'high' : 'low'})`);
+        fact('Phonemes', ...phonemesOf(glyph, steps).map(({position, phoneme}) => {
+            const {start, end} = phoneme.source;
+            return `${position}: ${describePhoneme(phoneme)} from ${JSON.stringify(text.slice(start, end))}`;
+        }));
+        fact('Aligner', ...writing.map((step) => {
+            const emitted = !step.emitted.some((term) => sameCell(term, glyph)) ? '' :
+                step.phoneme != null && apart[step.phoneme.type] != null ?
+                    `, then ${apart[step.phoneme.type]}` :
+                ', then emitted the glyph';
+            return `${step.state} on ${describePhoneme(step.phoneme)}: ${describeTerm(step.term)}${emitted}`;
+        }));
+        // A placeholder that joins the ligature of the previous glyph is only
+        // on the glyph as the aligner emitted it.
+        const emitted = writing.length === 0 ? glyph :
+            writing[writing.length - 1].emitted.find((term) => sameCell(term, glyph));
+        fact('Placeholders', ...placeholdersOf(glyph, writing, steps).map(({position, step}) => {
+            const because = step == null ? '' :
+                ` inserted by ${step.state} on ${describePhoneme(step.phoneme)}`;
+            const drawn = glyph[position] != null ? '' : ', drawn by the ligature of the previous glyph';
+            return `${position} ${emitted[position]}${because}${drawn}`;
+        }));
+        fact('Marking', ...(glyph.marking != null ? [glyph.marking] : []));
+        fact('Strokes', ...(glyph.strokes || []).map((stroke) => `${stroke} ${describeStroke(glyph, stroke)}`));
+        if (glyph.errors) {
+            fact('Errors', ...glyph.errors.map(({message}) => message));
+        }
+        element.open = true;
+    }
+
+    function fact(name, ...values) {
+        const term = document.createElement('dt');
+        term.textContent = name;
+        list.appendChild(term);
+        for (const value of values.length > 0 ? values : ['none']) {
+            const description = document.createElement('dd');
+            description.textContent = value;
+            list.appendChild(description);
+        }
+    }
+
+    show(null);
+    return {show};
+}
+
+// stepsOf finds the aligner steps that wrote a glyph, from the first step
+// with the glyph in progress to the step that emitted it.
+// A numeral or punctuation mark emits glyphs of its own beyond the glyph in
+// progress (see writeApart in transcribe.js), so the step that emitted a
+// glyph counts even when another glyph was in progress.
+function stepsOf(glyph, steps) {
+    const last = steps.findIndex((step) => step.emitted.some((term) => sameCell(term, glyph)));
+    return steps.filter((step, index) => index === last || (index < last && sameCell(step.term, glyph)));
+}
+
+// How writeApart writes each type of phoneme that stands apart from words.
+const punctuation = 'writeApart passed the mark to writePunctuation, which wrote the glyph on the high row';
+const apart = {
+    numeral: 'writeApart passed the numeral to writeNumeral, which wrote the glyph as one of its digits on the zig-zag',
+    period: punctuation,
+    comma: punctuation,
+    question: punctuation,
+    quote: punctuation,
+};
+
+// phonemesOf pairs each position of a glyph with the phonemes whose letters
+// it stands for.
+function phonemesOf(glyph, steps) {
+    const found = [];
+    for (const position of positions) {
+        const source = (glyph.sources || {})[position];
+        if (source == null) {
+            continue;
+        }
+        for (const {phoneme} of steps) {
+            if (phoneme != null && phoneme.source != null && overlaps(phoneme.source, source)) {
+                found.push({position, phoneme});
+            }
+        }
+    }
+    return found;
+}
+
+// placeholdersOf pairs each placeholder of a glyph with the step that
+// inserted it: the step after which the glyph in progress first had it.
+// Placeholders that a connector brings to a new glyph arrive with the step
+// before the first step of the glyph.
+function placeholdersOf(glyph, writing, steps) {
+    const placeholders = glyph.placeholders || [];
+    const found = new Map();
+    let previous = steps[steps.indexOf(writing[0]) - 1];
+    for (const step of writing) {
+        for (const position of step.term.placeholders || []) {
+            if (!found.has(position)) {
+                found.set(position, previous);
+            }
+        }
+        previous = step;
+    }
+    return placeholders.map((position) => ({position, step: found.get(position) || previous}));
+}
+
+// describeStroke tells what a stroke label stands for.
+// A connector passes inside the consonant beside it, or outside when the
+// consonant has a dental stroke on its left or a palatal stroke on its right.
+// A connector with two shapes in its name is a ligature, which embelish
+// chooses when the next glyph carries the same vowel on the connector it
+// joins, and draws in place of both.
+function describeStroke(glyph, stroke) {
+    const match = /^([a-z]+)-(north|south|east|west)-(inner|outer)(?:-(inner|outer))?$/.exec(stroke);
+    if (match == null) {
+        return glyph.center != null ? `(consonant ${glyph.center})` :
+            glyph.numeral != null ? `(numeral ${glyph.numeral})` :
+            '(punctuation)';
+    }
+    const [, vowel, position, shape, nextShape] = match;
+    const placeholder = (glyph.placeholders || []).includes(position) ? ' placeholder' : '';
+    const description = `(${position}${placeholder} connector for ${vowel}, ${sides[shape]} the consonant`;
+    if (nextShape == null) {
+        return description + ')';
+    }
+    const joined = position === 'east' ? 'west' : 'north';
+    return `${description}, joined with the ${joined} ${vowel} of the next glyph, ${sides[nextShape]} its consonant)`;
+}
+
+const sides = {
+    inner: 'inside',
+    outer: 'outside',
+};
+
+function sameCell(term, glyph) {
+    return term != null && term.x === glyph.x && term.y === glyph.y;
+}
+
+function overlaps(a, b) {
+    return a.start < b.end && b.start < a.end;
+}
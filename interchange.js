@@ -0,0 +1,191 @@
+// The interchange format stores a glyph model as JSON, so that a layout,
+// perhaps corrected by hand, can be saved, shared, and rendered again
+// without the transcriber.
+//
+// A file holds an object like:
+//
+//     {
+//         "format": "emone-model",
+//         "version": 3,
+//         "direction": "ltr",
+//         "text": "em",
+//         "glyphs": [
+//             {"x": 0, "y": 0, "center": "m", "north": "e",
+//              "strokes": ["labial", "e-north-inner"],
+//              "sources": {"north": {"start": 0, "end": 1},
+//                          "center": {"start": 1, "end": 2}}}
+//         ]
+//     }
+//
+// The direction is one of the directions of writing in transcribe.js.
+// The text, which is optional, is the text the glyphs were transcribed from,
+// whose offsets the sources of the glyphs count, and which the renderer reads
+// to label the words (since version 3).
+// Each glyph has:
+//
+// - x and y, its column and row on the grid, whole numbers from zero,
+// - strokes, the labels of its strokes in the templates, in the order they
+//   are written, which is all the renderer needs,
+// - optionally, what the strokes stand for, which the decoder reads:
+//   - center, the name of a consonant, and west, north, south, and east, the
+//     vowels on its connectors,
+//   - placeholders, the positions among those that only bridge a cluster,
+//   - numeral, a digit, and link, "south" or "east", toward the next digit
+//     of the numeral,
+//   - punctuation, the name of a punctuation mark, like "period",
+//   - empty, true for a cell with nothing but errors,
+//   - marking, "name" or "emphasis", for a glyph of a word so marked, which
+//     the renderer frames (since version 2),
+// - optionally, sources, the range of the text behind each position, like
+//   {"start": 0, "end": 1}, by the name of the position,
+// - optionally, errors, like {"code", "message", "offset", "length"}, for
+//   text the transcriber could not read.
+//
+// The size and diagnostics of a model follow from its glyphs, so the file
+// leaves them out.
+//
+// A reader rejects files of later versions than its own, and reads files of
+// earlier versions, which only lack fields that later versions added.
+
+import {assemble, directions, markings} from './transcribe.js';
+
+const format = 'emone-model';
+const version = 3;
+
+const positions = ['west', 'north', 'center', 'south', 'east'];
+
+// writeModel returns the text of a model in the interchange format.
+export function writeModel(model) {
+    return JSON.stringify({
+        format,
+        version,
+        direction: model.direction,
+        text: model.text,
+        glyphs: model.glyphs.map(portableGlyph),
+    }, null, 4) + '\n';
+}
+
+// portableGlyph keeps the fields of a glyph that the format describes,
+// dropping the labels of its strokes, which strokes already lists.
+function portableGlyph(glyph) {
+    const portable = {};
+    for (const name of Object.keys(glyphFields)) {
+        if (glyph[name] != null) {
+            portable[name] = glyph[name];
+        }
+    }
+    return portable;
+}
+
+// readModel parses the text of a model in the interchange format and returns
+// the model, ready to render, or throws an error that names the first field
+// that is out of place, like "glyphs[3].strokes".
+export function readModel(text) {
+    let file;
+    try {
+        file = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`not a model: ${error.message}`);
+    }
+    check(isObject(file), 'the file', 'an object');
+    check(file.format === format, 'format', JSON.stringify(format));
+    check(Number.isInteger(file.version) && file.version >= 1, 'version', 'a whole number from 1');
+    if (file.version > version) {
+        throw new Error(`version ${file.version} is newer than this reader, which reads version ${version}`);
+    }
+    check(directions.includes(file.direction), 'direction', `one of ${directions.join(', ')}`);
+    check(file.text == null || typeof file.text === 'string', 'text', 'a string');
+    check(Array.isArray(file.glyphs), 'glyphs', 'an array');
+    const glyphs = file.glyphs.map((glyph, index) => {
+        const path = `glyphs[${index}]`;
+        check(isObject(glyph), path, 'an object');
+        for (const [name, valid] of Object.entries(glyphFields)) {
+            if (glyph[name] != null || required[name]) {
+                check(valid(glyph[name]), `${path}.${name}`, expectations[name]);
+            }
+        }
+        // The labels of the strokes come first, so that a stroke that shares
+        // the name of a field, like "x", cannot take its place.
+        const {strokes} = glyph;
+        return {
+            ...Object.fromEntries(strokes.map((stroke) => [stroke, true])),
+            ...portableGlyph(glyph),
+            strokes,
+        };
+    });
+    return assemble(glyphs, file.direction, file.text);
+}
+
+function check(valid, path, expected) {
+    if (!valid) {
+        throw new Error(`not a model: ${path} must be ${expected}`);
+    }
+}
+
+// The fields of a glyph, and whether a value of each is valid.
+const glyphFields = {
+    x: isCount,
+    y: isCount,
+    empty: (value) => typeof value === 'boolean',
+    center: isName,
+    west: isName,
+    north: isName,
+    south: isName,
+    east: isName,
+    placeholders: (value) => Array.isArray(value) && value.every((position) => positions.includes(position)),
+    numeral: (value) => typeof value === 'string' && /^[0-9]$/.test(value),
+    link: (value) => value === 'south' || value === 'east',
+    punctuation: isName,
+    marking: (value) => markings.includes(value),
+    strokes: (value) => Array.isArray(value) && value.every(isName),
+    sources: (value) => isObject(value) &&
+        Object.entries(value).every(([position, source]) => positions.includes(position) && isSource(source)),
+    errors: (value) => Array.isArray(value) && value.every(isError),
+};
+
+const required = {
+    x: true,
+    y: true,
+    strokes: true,
+};
+
+const expectations = {
+    x: 'a whole number from 0',
+    y: 'a whole number from 0',
+    empty: 'true or false',
+    center: 'a name',
+    west: 'a name',
+    north: 'a name',
+    south: 'a name',
+    east: 'a name',
+    placeholders: `an array of positions: ${positions.join(', ')}`,
+    numeral: 'a digit',
+    link: '"south" or "east"',
+    punctuation: 'a name',
+    marking: `one of ${markings.join(', ')}`,
+    strokes: 'an array of names',
+    sources: 'an object of ranges like {"start": 0, "end": 1} by position',
+    errors: 'an array of errors like {"message": "...", "offset": 0, "length": 1}',
+};
+
+function isObject(value) {
+    return value != null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isCount(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+function isName(value) {
+    return typeof value === 'string' && value.length > 0;
+}
+
+function isSource(value) {
+    return isObject(value) && isCount(value.start) && isCount(value.end) && value.start <= value.end;
+}
+
+function isError(value) {
+    return isObject(value) && typeof value.message === 'string' &&
+        isCount(value.offset) && isCount(value.length) &&
+        (value.code == null || typeof value.code === 'string');
+}
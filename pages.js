@@ -0,0 +1,167 @@
+// The document layout divides a rendering into pages of paper, for printing
+// a long text, with the lines of glyphs one after another between the
+// margins of each page, and optionally the source text of each line beneath
+// it.
+//
+// The aligner already arranges the glyphs in lines, each a pair of rows on
+// the grid, so a page holds whole lines, as many as fit, and the transcriber
+// wraps the lines to the width of a page, with the columns of the layout.
+// Lines written top to bottom run down the page instead, from left to right,
+// with their source text beside them.
+//
+// A page is a standalone SVG document, like the output of renderSvg, of the
+// size of the paper.
+
+import {stride, cell, columnsFor, svgOpening, svgBody, svgDefs, words} from './render.js';
+import {directions} from './transcribe.js';
+import {escapeXml} from './xml.js';
+
+// The sizes of paper, wide by high, in millimeters.
+export const paperSizes = {
+    a4: {x: 210, y: 297},
+    a5: {x: 148, y: 210},
+    letter: {x: 215.9, y: 279.4},
+    legal: {x: 215.9, y: 355.6},
+};
+
+// The size of the letters of the source text, the room it adds between lines
+// of glyphs, and its baseline below the top of the cells of its line, clear
+// of the strokes of the low row, all in the units of the templates.
+const sourceSize = 110;
+const sourceLeading = 250;
+const sourceBaseline = 620;
+
+// pageLayout returns the layout of pages for the options:
+//
+// - paper, the name of a size of paper, "a4" by default,
+// - margin, the margin on every side of a page, in millimeters, 20 by
+//   default,
+// - glyph, the width of the cell of a glyph, in millimeters, 12 by default,
+// - source, whether to print the source text of each line beneath it,
+// - direction, the direction of writing (see transcribe.js), "ltr" by
+//   default.
+//
+// The layout has the number of columns of glyphs that fit on a line, for the
+// columns option of transcribe, and the number of lines that fit on a page.
+// pageLayout throws an error for options that leave no room for a line.
+export function pageLayout({paper = 'a4', margin = 20, glyph = 12, source = false, direction = 'ltr'} = {}) {
+    if (!Object.hasOwn(paperSizes, paper)) {
+        throw new Error(`unknown paper ${JSON.stringify(paper)}, expected one of ${Object.keys(paperSizes).join(', ')}`);
+    }
+    if (!directions.includes(direction)) {
+        throw new Error(`unknown direction ${JSON.stringify(direction)}, expected one of ${directions.join(', ')}`);
+    }
+    if (!(margin >= 0) || !(glyph > 0)) {
+        throw new Error('the margin must be a length from 0 and the glyph a length above 0');
+    }
+    const size = paperSizes[paper];
+    // The scale of the page, in millimeters to the unit of the templates.
+    const scale = glyph / cell.x;
+    const content = {x: (size.x - 2*margin) / scale, y: (size.y - 2*margin) / scale};
+    const vertical = direction === 'ttb';
+    const along = vertical ? content.y : content.x;
+    const across = vertical ? content.x : content.y;
+    const pitch = 2*stride.y + (source ? sourceLeading : 0);
+    const height = source ? Math.max(stride.y + cell.y, sourceBaseline + sourceSize/2) : stride.y + cell.y;
+    const lines = Math.floor((across - height) / pitch) + 1;
+    if (along < cell.x || lines < 1) {
+        throw new Error(`the margins of ${margin} millimeters leave no room for a line of glyphs on ${paper} paper`);
+    }
+    return {paper, size, margin, scale, source, direction, pitch, lines, columns: columnsFor(along)};
+}
+
+// paginate returns the lines of a model on each page of a layout, as an
+// array of pages, each an array of the numbers of its lines, from zero.
+// Blank lines take their room on the page like any other.
+export function paginate(model, layout) {
+    const count = Math.ceil(model.size.y / 2);
+    const pages = [];
+    for (let first = 0; first < count; first += layout.lines) {
+        const lines = [];
+        for (let line = first; line < Math.min(count, first + layout.lines); line++) {
+            lines.push(line);
+        }
+        pages.push(lines);
+    }
+    return pages;
+}
+
+// renderPages returns the text of a standalone SVG document for each page of
+// a model in a layout, in the direction of writing of the layout.
+// Like renderSvg, it needs the templates from parseTemplates.
+export function renderPages(model, templates, layout) {
+    if (model.direction !== layout.direction) {
+        throw new Error(`the model is written ${model.direction}, but the pages ${layout.direction}`);
+    }
+    return paginate(model, layout).map((lines) => renderPage(model, lines, templates, layout));
+}
+
+function renderPage(model, lines, templates, layout) {
+    const {size, margin, scale, pitch} = layout;
+    const view = {x: size.x / scale, y: size.y / scale};
+    const inset = margin / scale;
+    const vertical = model.direction === 'ttb';
+    // Lines written right to left end at the right margin.
+    const columns = Math.max(layout.columns, model.size.x);
+    const used = new Set();
+    const labels = [];
+    let body = '';
+    lines.forEach((line, index) => {
+        const lineModel = {
+            ...model,
+            glyphs: model.glyphs.filter(({y}) => Math.floor(y / 2) === line),
+            size: {...model.size, x: columns},
+        };
+        // The cells keep their place on the grid, so that each line alternates
+        // direction as it would on one long page, and the line moves into
+        // place as a whole.
+        const top = index * pitch;
+        const shift = top - line * 2*stride.y;
+        const transform = vertical ?
+            `translate(${inset + shift}, ${inset})` :
+            `translate(${inset}, ${inset + shift})`;
+        body += `<g class="line" transform="${transform}">\n`;
+        body += svgBody(lineModel, templates, used);
+        body += '</g>\n';
+        const label = words(lineModel).map((word) => word.label).join(' ');
+        if (label.length > 0) {
+            labels.push(label);
+        }
+        if (layout.source && label.length > 0) {
+            body += sourceLine(label, sourcePlacement(model.direction, line, inset + top, inset, columns));
+        }
+    });
+    return svgOpening(`${size.x}mm`, `${size.y}mm`, view, labels.join(' ')) +
+        svgDefs(used, templates) + body + '</svg>\n';
+}
+
+// sourcePlacement returns the attributes that place the source text of a
+// line, whose cells begin at an offset from the top of the page, or from the
+// left for lines written top to bottom, where the text turns to run down the
+// page beside them.
+// The source text of a line written right to left ends at the right margin.
+function sourcePlacement(direction, line, offset, inset, columns) {
+    if (direction === 'ttb') {
+        return {transform: `translate(${offset + sourceBaseline - sourceSize}, ${inset}) rotate(90)`};
+    }
+    const mirrored = direction === 'rtl' || (direction === 'boustrophedon' && line % 2 === 1);
+    if (mirrored) {
+        return {x: inset + (columns - 1)*stride.x + cell.x, y: offset + sourceBaseline, 'text-anchor': 'end'};
+    }
+    return {x: inset, y: offset + sourceBaseline};
+}
+
+function sourceLine(text, placement) {
+    const attributes = {
+        class: 'source',
+        ...placement,
+        'font-family': 'serif',
+        'font-size': sourceSize,
+        fill: 'currentColor',
+        // Source text is for sighted readers beside the glyphs, which already
+        // bear the same text for assistive technology.
+        'aria-hidden': 'true',
+    };
+    const serialized = Object.entries(attributes).map(([name, value]) => ` ${name}="${escapeXml(String(value))}"`).join('');
+    return `<text${serialized}>${escapeXml(text)}</text>\n`;
+}
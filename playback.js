@@ -0,0 +1,159 @@
+// The player animates a rendering as a scribe would write it, glyph by glyph
+// in the order of the model, and stroke by stroke in the order each glyph
+// lists its strokes (see embelish in transcribe.js).
+// Each stroke is traced along its outline and then filled in.
+//
+// makePlayer accepts the SVG element of a rendering and the element holding
+// the controls: play, pause, and step buttons, and a speed select whose
+// values multiply the rate of writing.
+// Step writes the next glyph and stops, or finishes the glyph in progress.
+// Strokes not yet written bear the class "unwritten", for the page to hide.
+//
+// The player's load method accepts the model after every rendering.
+// A new model stops the playback and shows the whole rendering.
+
+// How long the tracing and filling of one stroke takes, in milliseconds, at
+// the normal speed.
+const strokeDuration = 500;
+
+// The width of the pen that traces the outline of a stroke, in the units of
+// the templates.
+const penWidth = 3;
+
+export function makePlayer(element, controls) {
+    const speedElement = controls.querySelector('.speed');
+    let model;
+    // The index of the next glyph to write, or null before playback starts.
+    let next = null;
+    // Whether to go on to the next glyph after the glyph in progress.
+    let playing = false;
+    let paused = false;
+    // Whether a glyph is in progress.
+    let writing = false;
+    // The animations of the stroke in progress.
+    let animations = [];
+    // Each new model abandons the writing in progress for the previous one.
+    let generation = 0;
+
+    controls.querySelector('.play').addEventListener('click', () => {
+        playing = true;
+        resume();
+    });
+
+    controls.querySelector('.pause').addEventListener('click', () => {
+        paused = true;
+        for (const animation of animations) {
+            animation.pause();
+        }
+    });
+
+    controls.querySelector('.step').addEventListener('click', () => {
+        playing = false;
+        resume();
+    });
+
+    speedElement.addEventListener('change', () => {
+        for (const animation of animations) {
+            animation.updatePlaybackRate(+speedElement.value);
+        }
+    });
+
+    // resume continues the glyph in progress, or starts the next glyph,
+    // starting over from the first when all have been written.
+    function resume() {
+        paused = false;
+        if (writing) {
+            for (const animation of animations) {
+                animation.play();
+            }
+            return;
+        }
+        if (model == null || model.glyphs.length === 0) {
+            return;
+        }
+        if (next == null || next >= model.glyphs.length) {
+            for (const node of element.querySelectorAll('.cell > use')) {
+                node.classList.add('unwritten');
+            }
+            next = 0;
+        }
+        write();
+    }
+
+    async function write() {
+        const run = generation;
+        writing = true;
+        do {
+            const {x, y} = model.glyphs[next];
+            next += 1;
+            const cell = element.querySelector(`.cell[data-x="${x}"][data-y="${y}"]`);
+            for (const node of cell == null ? [] : cell.querySelectorAll(':scope > use')) {
+                await trace(node);
+                if (run !== generation) {
+                    return;
+                }
+            }
+        } while (playing && next < model.glyphs.length);
+        writing = false;
+    }
+
+    // trace draws a copy of the definition of a stroke in place of its use
+    // element, then reveals the use element.
+    async function trace(node) {
+        const definition = element.ownerDocument.getElementById(node.getAttribute('href').slice(1));
+        if (definition == null) {
+            node.classList.remove('unwritten');
+            return;
+        }
+        const copy = definition.cloneNode(true);
+        for (const identified of [copy, ...copy.querySelectorAll('[id]')]) {
+            identified.removeAttribute('id');
+        }
+        node.parentNode.insertBefore(copy, node);
+        const current = [...copy.querySelectorAll('path, circle, ellipse, rect, polygon')].map((shape) => {
+            const length = shape.getTotalLength();
+            const pen = {stroke: 'currentColor', strokeWidth: `${penWidth}`, strokeDasharray: `${length}`};
+            const animation = shape.animate([
+                {...pen, strokeDashoffset: `${length}`, fillOpacity: 0},
+                {...pen, strokeDashoffset: '0', fillOpacity: 0, offset: 0.7},
+                {...pen, strokeDashoffset: '0', fillOpacity: 1},
+            ], strokeDuration);
+            animation.updatePlaybackRate(+speedElement.value);
+            if (paused) {
+                animation.pause();
+            }
+            return animation;
+        });
+        animations = current;
+        try {
+            await Promise.allSettled(current.map((animation) => animation.finished));
+        } finally {
+            copy.remove();
+            node.classList.remove('unwritten');
+            if (animations === current) {
+                animations = [];
+            }
+        }
+    }
+
+    function load(value) {
+        if (value === model) {
+            return;
+        }
+        generation += 1;
+        for (const animation of animations) {
+            animation.cancel();
+        }
+        animations = [];
+        model = value;
+        next = null;
+        playing = false;
+        paused = false;
+        writing = false;
+        for (const node of element.querySelectorAll('.unwritten')) {
+            node.classList.remove('unwritten');
+        }
+    }
+
+    return {load};
+}
@@ -1,8 +1,26 @@
-const stride = {
+import {parseXml, serializeXml, escapeXml} from './xml.js';
+import {decode} from './decode.js';
+
+// The distance between the cells of neighboring columns and rows of the grid,
+// in the units of the templates.
+export const stride = {
     x: 200,
     y: 162,
 };
 
+// Each glyph's cell is drawn in a box of this size in the template file.
+export const cell = {
+    x: 500,
+    y: 500,
+};
+
+// columnsFor returns the number of columns of glyphs that fit in a width, at
+// the true size of the templates, but at least one, for the columns option of
+// transcribe.
+export function columnsFor(width) {
+    return Math.max(1, Math.floor((width - cell.x) / stride.x) + 1);
+}
+
 const ignoreMissingNames = {
     north: true,
     south: true,
@@ -10,8 +28,18 @@ const ignoreMissingNames = {
     west: true,
     center: true,
     empty: true,
+    placeholders: true,
+    sources: true,
+    errors: true,
+    numeral: true,
+    link: true,
+    punctuation: true,
+    strokes: true,
+    marking: true,
 };
 
+const svgNamespace = 'http://www.w3.org/2000/svg';
+
 // importTemplates walks an SVG DOM and populates a map for every node with an
 // Inkscape-assigned label.
 // These correspond to layer names in the Inkscape user experience
@@ -30,30 +58,154 @@ export function importTemplates(node, labels) {
     }
 }
 
+// parseTemplates is the DOM-free analogue of importTemplates.
+// It reads the text of an SVG file and populates a map for every element
+// with an Inkscape-assigned label, using the plain element objects of
+// xml.js.
+// renderSvg accepts the resulting map.
+export function parseTemplates(text, labels) {
+    collectTemplates(parseXml(text), labels);
+}
+
+function collectTemplates(element, labels) {
+    let label = element.attributes["inkscape:label"];
+    if (label != null) {
+        labels.set(label, element);
+    }
+    for (const child of element.children) {
+        if (typeof child === 'object') {
+            collectTemplates(child, labels);
+        }
+    }
+}
+
+// What render drew into each element, as {title, defs, strokes, lines},
+// where title and defs are the element's title and defs, strokes maps the
+// label of each stroke to its definition, and lines maps each line of the
+// grid to {key, node}, where the key is the text of the line's glyphs.
+const drawn = new WeakMap();
+
 // render overwrites and resizes an SVG element so that the
 // view contains all of the modeled strokes.
+// Each line of the grid, a pair of rows, is a group with the class "line",
+// and its number, from zero, in data-line.
+// Each word on the line is a group with the class "word", which assistive
+// technology reads as an image with the text of the word for its label and
+// title (see words below), and the whole rendering bears the whole text the
+// same way.
+// Each glyph is a group of strokes with the class "cell", and its position on
+// the grid in data-x and data-y attributes.
+// Each stroke is a use element that refers to the one copy of its template in
+// the defs of the element.
+// The copies draw in the current color, so a color on a use element, a cell,
+// or the whole rendering changes the color of its strokes.
+// Cells and strokes carry the range of the source text they came from in
+// data-start and data-end attributes.
+// Cells with errors bear a circle with the class "diagnostic", titled with
+// the error messages.
+// Words marked as names or emphasized bear a frame (see frames below), drawn
+// in the group of their line, before its words.
+//
+// When the element already shows a rendering, render only replaces the lines
+// whose glyphs changed, so typing at the end of a long text only redraws
+// the last line.
 export function render(element, model, templates, size) {
-    element.innerHTML = "";
+    let previous = drawn.get(element);
+    if (previous == null || previous.defs.parentNode !== element) {
+        previous = {
+            title: document.createElementNS(svgNamespace, 'title'),
+            defs: document.createElementNS(svgNamespace, 'defs'),
+            strokes: new Map(),
+            lines: new Map(),
+        };
+    }
+    const {title, defs} = previous;
+    const next = {title, defs, strokes: new Map(), lines: new Map()};
 
-    for (const {x, y, ...glyphs} of model.glyphs) {
-        for (const stroke of Object.keys(glyphs)) {
-            let template = templates.get(stroke);
-            if (template == null) {
-                if (!ignoreMissingNames[stroke]) {
-                    console.warn('missing stroke', stroke);
-                }
-            } else {
-                let node = document.importNode(template, true);
-                node.setAttribute("transform", `translate(${x*stride.x}, ${y*stride.y})`);
-                element.appendChild(node);
+    const place = placement(model);
+    const framed = new Map();
+    for (const frame of frames(model)) {
+        if (!framed.has(frame.line)) {
+            framed.set(frame.line, []);
+        }
+        framed.get(frame.line).push({...frame, transform: place({x: frame.from, y: frame.line * 2})});
+    }
+
+    const placed = new Map();
+    for (const cell of cells(model, templates)) {
+        placed.set(cell.glyph, cell);
+        for (const stroke of cell.strokes) {
+            if (!next.strokes.has(stroke)) {
+                next.strokes.set(stroke, previous.strokes.get(stroke) || define(stroke, templates.get(stroke)));
             }
         }
     }
 
-    let actual = {
-        x: 500 + (model.size.x-1)*stride.x,
-        y: 500 + (model.size.y-1)*stride.y,
-    };
+    const lines = new Map();
+    for (const {label, glyphs} of words(model)) {
+        const line = Math.floor(glyphs[0].y / 2);
+        if (!lines.has(line)) {
+            lines.set(line, []);
+        }
+        lines.get(line).push({label, cells: glyphs.map((glyph) => placed.get(glyph))});
+    }
+
+    // The defs hold exactly the strokes in use.
+    for (const [stroke, node] of previous.strokes) {
+        if (!next.strokes.has(stroke)) {
+            defs.removeChild(node);
+        }
+    }
+    for (const node of next.strokes.values()) {
+        if (node.parentNode !== defs) {
+            defs.appendChild(node);
+        }
+    }
+
+    const label = describe(model);
+    title.textContent = label;
+    if (label.length > 0) {
+        element.setAttribute('aria-label', label);
+    } else {
+        element.removeAttribute('aria-label');
+    }
+    if (element.firstChild !== title) {
+        element.insertBefore(title, element.firstChild);
+    }
+    if (title.nextSibling !== defs) {
+        element.insertBefore(defs, title.nextSibling);
+    }
+
+    let reference = defs.nextSibling;
+    for (const line of [...lines.keys()].sort((a, b) => a - b)) {
+        const lineWords = lines.get(line);
+        const lineFrames = framed.get(line) || [];
+        const key = JSON.stringify({
+            words: lineWords.map(({label, cells}) => ({
+                label,
+                cells: cells.map(({glyph, transform}) => ({glyph, transform})),
+            })),
+            frames: lineFrames,
+        });
+        let entry = previous.lines.get(line);
+        if (entry == null || entry.key !== key || entry.node.parentNode !== element) {
+            entry = {key, node: drawLine(line, lineWords, lineFrames)};
+        }
+        next.lines.set(line, entry);
+        if (entry.node === reference) {
+            reference = reference.nextSibling;
+        } else {
+            element.insertBefore(entry.node, reference);
+        }
+    }
+    while (reference != null) {
+        const stale = reference;
+        reference = reference.nextSibling;
+        element.removeChild(stale);
+    }
+    drawn.set(element, next);
+
+    let actual = dimensions(model);
     let scale = 1;
 
     element.setAttribute('height', actual.y);
@@ -73,6 +225,443 @@ export function render(element, model, templates, size) {
     element.style.transform = `scale(${scale})`;
 }
 
+// define copies the template of a stroke for the defs of a rendering.
+function define(stroke, template) {
+    const node = document.importNode(template, true);
+    node.setAttribute('id', strokeId(stroke));
+    for (const painted of [node, ...node.querySelectorAll('[style]')]) {
+        const style = painted.getAttribute('style');
+        if (style != null) {
+            painted.setAttribute('style', paint(style));
+        }
+    }
+    return node;
+}
+
+// The templates are drawn in black, which the definitions draw in the current
+// color instead.
+function paint(style) {
+    return style.replace(/(fill|stroke):#000000/g, '$1:currentColor');
+}
+
+function strokeId(stroke) {
+    return `emone-stroke-${stroke}`;
+}
+
+function drawLine(line, lineWords, lineFrames) {
+    let group = document.createElementNS(svgNamespace, 'g');
+    group.setAttribute('class', 'line');
+    group.setAttribute('data-line', line);
+    for (const frame of lineFrames) {
+        let node = document.createElementNS(svgNamespace, 'path');
+        for (const [name, value] of Object.entries(frameAttributes(frame))) {
+            node.setAttribute(name, value);
+        }
+        group.appendChild(node);
+    }
+    for (const {label, cells} of lineWords) {
+        let word = document.createElementNS(svgNamespace, 'g');
+        for (const [name, value] of Object.entries(wordAttributes(label))) {
+            word.setAttribute(name, value);
+        }
+        if (label.length > 0) {
+            let title = document.createElementNS(svgNamespace, 'title');
+            title.textContent = label;
+            word.appendChild(title);
+        }
+        for (const {glyph, transform, strokes} of cells) {
+            let cell = document.createElementNS(svgNamespace, 'g');
+            cell.setAttribute('class', 'cell');
+            cell.setAttribute('transform', transform);
+            cell.setAttribute('data-x', glyph.x);
+            cell.setAttribute('data-y', glyph.y);
+            setSource(cell, extent(glyph));
+            for (const stroke of strokes) {
+                let node = document.createElementNS(svgNamespace, 'use');
+                node.setAttribute('href', '#' + strokeId(stroke));
+                setSource(node, strokeSource(glyph, stroke));
+                cell.appendChild(node);
+            }
+            if (glyph.errors) {
+                cell.appendChild(diagnosticMarker(glyph.errors));
+            }
+            word.appendChild(cell);
+        }
+        group.appendChild(word);
+    }
+    return group;
+}
+
+// wordAttributes returns the attributes of the group of a word, which reads
+// as one image, labeled with the text of the word.
+// A word without text, as from a model that only names its strokes, is
+// hidden from assistive technology.
+function wordAttributes(label) {
+    if (label.length === 0) {
+        return {class: 'word', 'aria-hidden': 'true'};
+    }
+    return {class: 'word', role: 'img', 'aria-label': label};
+}
+
+// renderSvg returns the text of a standalone SVG document containing all of
+// the modeled strokes at their true size.
+// Like render, it defines each stroke once and draws it with use elements,
+// in black unless the document that embeds it sets another color, and labels
+// the words and the whole rendering with their text.
+// Unlike render, it needs no browser DOM, but the templates must come from
+// parseTemplates.
+export function renderSvg(model, templates) {
+    const actual = dimensions(model);
+    const used = new Set();
+    const body = svgBody(model, templates, used);
+    return svgOpening(actual.x, actual.y, actual, describe(model)) +
+        svgDefs(used, templates) + body + '</svg>\n';
+}
+
+// svgOpening returns the start tag of a standalone SVG document of a width
+// and height, in any units, showing a view of a size in the units of the
+// templates, with its title and label, if any.
+// The document continues with svgDefs and svgBody, and ends with "</svg>".
+// It references the strokes with xlink:href, as SVG 1.1 requires, which
+// browsers still accept.
+export function svgOpening(width, height, view, label) {
+    return `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" version="1.1"` +
+        ` width="${width}" height="${height}"` +
+        ` viewBox="0 0 ${view.x} ${view.y}" color="#000000"` +
+        (label.length > 0 ? ` aria-label="${escapeXml(label)}">\n<title>${escapeXml(label)}</title>\n` : '>\n');
+}
+
+// svgBody returns the SVG text of the frames and words of a model, adding
+// the label of every stroke it draws to a set of used strokes, for svgDefs.
+export function svgBody(model, templates, used) {
+    let body = '';
+    const place = placement(model);
+    for (const frame of frames(model)) {
+        const attributes = frameAttributes({...frame, transform: place({x: frame.from, y: frame.line * 2})});
+        body += '<path' + serializeAttributes(attributes) + '/>\n';
+    }
+    const placed = new Map();
+    for (const cell of cells(model, templates)) {
+        placed.set(cell.glyph, cell);
+    }
+    for (const word of words(model)) {
+        body += '<g' + serializeAttributes(wordAttributes(word.label)) + '>\n';
+        if (word.label.length > 0) {
+            body += `<title>${escapeXml(word.label)}</title>\n`;
+        }
+        for (const {transform, strokes} of word.glyphs.map((glyph) => placed.get(glyph))) {
+            body += `<g transform="${transform}">\n`;
+            for (const stroke of strokes) {
+                used.add(stroke);
+                body += `<use xlink:href="#${escapeXml(strokeId(stroke))}"/>\n`;
+            }
+            body += '</g>\n';
+        }
+        body += '</g>\n';
+    }
+    return body;
+}
+
+// svgDefs returns the SVG text of the definitions of a set of strokes.
+export function svgDefs(used, templates) {
+    let text = '<defs>\n';
+    for (const stroke of used) {
+        const {attributes, children} = templates.get(stroke);
+        let definition = `<g id="${escapeXml(strokeId(stroke))}"`;
+        if (attributes.style != null) {
+            definition += ` style="${escapeXml(attributes.style)}"`;
+        }
+        definition += '>';
+        for (const child of children) {
+            definition += serializeXml(child, isPortableAttribute);
+        }
+        text += paint(definition) + '</g>\n';
+    }
+    return text + '</defs>\n';
+}
+
+function serializeAttributes(attributes) {
+    return Object.entries(attributes).map(([name, value]) => ` ${name}="${escapeXml(String(value))}"`).join('');
+}
+
+// Attributes in the inkscape: and sodipodi: namespaces are only meaningful to
+// the editor and would need namespace declarations in a standalone file.
+function isPortableAttribute(name) {
+    return !name.includes(':') || name.startsWith('xml:');
+}
+
+// cells generates the transform that places every glyph in the model, along
+// with the names of its strokes for which there is a template, in the order
+// they are written when the glyph lists them.
+function* cells(model, templates) {
+    const place = placement(model);
+    for (const glyph of model.glyphs) {
+        const {x, y, ...glyphs} = glyph;
+        const strokes = [];
+        for (const stroke of glyph.strokes || Object.keys(glyphs)) {
+            if (!templates.has(stroke)) {
+                if (!ignoreMissingNames[stroke]) {
+                    console.warn('missing stroke', stroke);
+                }
+            } else {
+                strokes.push(stroke);
+            }
+        }
+        yield {glyph, transform: place(glyph), strokes};
+    }
+}
+
+// frames finds the runs of marked glyphs in a model, in the order of writing,
+// like {marking, line, from, to, low}, where from and to are the first and
+// last columns of the run on its line, and low is whether the run reaches the
+// low row of the line.
+// A run ends at a glyph with another marking or none, or on another line, so
+// adjacent words with the same marking, like the words of a name, share one
+// frame.
+// A marked glyph without a consonant, like the cell of the previous word where
+// the first vowel of a word begins, neither starts nor ends a run.
+function frames(model) {
+    const found = [];
+    let run = null;
+    for (const glyph of model.glyphs) {
+        if (glyph.marking != null && glyph.center == null) {
+            continue;
+        }
+        const line = Math.floor(glyph.y / 2);
+        if (run != null && glyph.marking === run.marking && line === run.line) {
+            run.from = Math.min(run.from, glyph.x);
+            run.to = Math.max(run.to, glyph.x);
+            run.low = run.low || glyph.y % 2 === 1;
+            continue;
+        }
+        run = null;
+        if (glyph.marking != null) {
+            run = {marking: glyph.marking, line, from: glyph.x, to: glyph.x, low: glyph.y % 2 === 1};
+            found.push(run);
+        }
+    }
+    return found;
+}
+
+// words divides the glyphs of a model into words, like {label, glyphs}, in
+// the order of writing, where the label is the text of the word.
+// The sources of the glyphs cover the letters of every word but not the
+// spaces between them, so each run of text that the sources cover without a
+// gap is a word, punctuation and all.
+// A glyph belongs to the word of its consonant, or else of its first vowel,
+// since the cell of the last consonant of a word may carry the first vowel of
+// the next.
+// A glyph without sources belongs to the word before it, and a word never
+// crosses lines.
+// The label is the text of the word, if the model has the text, and
+// otherwise the decoder's reading of its glyphs.
+export function words(model) {
+    const spans = covered(model.glyphs);
+    const found = [];
+    let word = null;
+    for (const glyph of model.glyphs) {
+        const offset = anchor(glyph);
+        const span = offset == null ? null : spanAt(spans, offset);
+        const line = Math.floor(glyph.y / 2);
+        if (word == null || word.line !== line || (span != null && word.span != null && span !== word.span)) {
+            word = {span, line, glyphs: []};
+            found.push(word);
+        }
+        if (word.span == null) {
+            word.span = span;
+        }
+        word.glyphs.push(glyph);
+    }
+    return found.map(({span, glyphs}) => ({
+        label: model.text != null && span != null ? model.text.slice(span.start, span.end) : decode({glyphs}).text,
+        glyphs,
+    }));
+}
+
+// covered returns the runs of text that the sources and errors of glyphs
+// cover without a gap, like {start, end}, in the order of the text.
+function covered(glyphs) {
+    const ranges = [];
+    for (const glyph of glyphs) {
+        ranges.push(...Object.values(glyph.sources || {}));
+        for (const {offset, length} of glyph.errors || []) {
+            ranges.push({start: offset, end: offset + length});
+        }
+    }
+    ranges.sort((a, b) => a.start - b.start);
+    const spans = [];
+    for (const {start, end} of ranges) {
+        const last = spans[spans.length - 1];
+        if (last != null && start <= last.end) {
+            last.end = Math.max(last.end, end);
+        } else {
+            spans.push({start, end});
+        }
+    }
+    return spans;
+}
+
+// spanAt finds the span that covers an offset, if any, by bisecting the
+// spans, since render labels the words of the whole model at every change.
+function spanAt(spans, offset) {
+    let low = 0;
+    let high = spans.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (spans[middle].end <= offset) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+    const span = spans[low];
+    return span != null && span.start <= offset ? span : undefined;
+}
+
+// anchor returns the offset in the text of the letters that place a glyph in
+// its word: its consonant, or else its first vowel, or else its first error.
+function anchor(glyph) {
+    const sources = glyph.sources || {};
+    for (const position of ['center', 'west', 'north', 'south', 'east']) {
+        if (sources[position] != null) {
+            return sources[position].start;
+        }
+    }
+    if (glyph.errors != null && glyph.errors.length > 0) {
+        return glyph.errors[0].offset;
+    }
+    return null;
+}
+
+// describe returns the text of a whole rendering on one line, for its label:
+// the text of the model, if it has the text, and otherwise the decoder's
+// reading of its glyphs.
+function describe(model) {
+    const text = model.text != null ? model.text : decode(model).text;
+    return text.trim().replace(/\s+/g, ' ');
+}
+
+// The inset of a frame from the room of the glyphs it surrounds, and the
+// greatest radius of the corners of a cartouche.
+const frameInset = 12;
+const frameRadius = 60;
+
+// frameAttributes returns the attributes of the path that draws a frame, in
+// the coordinates of the cell of its first column on the high row of its
+// line, so that it takes the same transform as that cell.
+// The strokes of a glyph are centered in its cell, which is much wider than
+// the distance between glyphs, so a frame surrounds the room of each glyph on
+// the grid, a stride wide and high around the center of its cell, rather
+// than the whole cell, which would reach over the neighboring words.
+// A name is written in a cartouche, a rounded box around the glyphs, and an
+// emphasized word over a bar beneath them.
+function frameAttributes({marking, from, to, low, transform}) {
+    const left = (cell.x - stride.x) / 2 + frameInset;
+    const top = (cell.y - stride.y) / 2 + frameInset;
+    const right = (cell.x + stride.x) / 2 + (to - from) * stride.x - frameInset;
+    const bottom = (cell.y + stride.y) / 2 + (low ? stride.y : 0) - frameInset;
+    const radius = Math.min(frameRadius, (right - left) / 2, (bottom - top) / 2);
+    const d = marking === 'name' ?
+        `M ${left + radius} ${top} H ${right - radius} ` +
+        `A ${radius} ${radius} 0 0 1 ${right} ${top + radius} V ${bottom - radius} ` +
+        `A ${radius} ${radius} 0 0 1 ${right - radius} ${bottom} H ${left + radius} ` +
+        `A ${radius} ${radius} 0 0 1 ${left} ${bottom - radius} V ${top + radius} ` +
+        `A ${radius} ${radius} 0 0 1 ${left + radius} ${top} Z` :
+        `M ${left} ${bottom} H ${right}`;
+    return {
+        class: `marking ${marking}`,
+        transform,
+        d,
+        fill: 'none',
+        stroke: 'currentColor',
+        'stroke-width': 8,
+        'stroke-linecap': 'round',
+    };
+}
+
+// placement returns a function that places the cell of a glyph on the page,
+// according to the direction of writing of the model (see transcribe.js).
+// Cells written right to left are mirrored within their own box, and cells
+// written top to bottom are reflected across the diagonal of their box.
+function placement(model) {
+    const width = (model.size.x - 1) * stride.x;
+    const mirrored = ({x, y}) => `matrix(-1, 0, 0, 1, ${width - x*stride.x + cell.x}, ${y*stride.y})`;
+    const translated = ({x, y}) => `translate(${x*stride.x}, ${y*stride.y})`;
+    switch (model.direction) {
+    case 'rtl':
+        return mirrored;
+    case 'boustrophedon':
+        return (glyph) => Math.floor(glyph.y / 2) % 2 === 1 ? mirrored(glyph) : translated(glyph);
+    case 'ttb':
+        return ({x, y}) => `matrix(0, 1, 1, 0, ${y*stride.y}, ${x*stride.x})`;
+    }
+    return translated;
+}
+
+// Vowel strokes are named for the vowel, the position on the cell, and the
+// shapes of the consonants they connect, like "e-east-inner-outer".
+// All other strokes belong to the consonant at the center of the cell.
+const vowelStrokePattern = /^[a-z]+-(north|south|east|west)-/;
+
+// strokeSource returns the range of the source text behind one stroke of a
+// glyph.
+function strokeSource(glyph, stroke) {
+    const match = vowelStrokePattern.exec(stroke);
+    const position = match != null ? match[1] : 'center';
+    return (glyph.sources || {})[position];
+}
+
+// extent returns the range of the source text behind all the strokes of a
+// glyph, or undefined for a glyph made only of placeholders.
+export function extent(glyph) {
+    let range;
+    for (const source of Object.values(glyph.sources || {})) {
+        if (range == null) {
+            range = source;
+        } else {
+            range = {
+                start: Math.min(range.start, source.start),
+                end: Math.max(range.end, source.end),
+            };
+        }
+    }
+    return range;
+}
+
+function diagnosticMarker(errors) {
+    let marker = document.createElementNS(svgNamespace, 'circle');
+    marker.setAttribute('class', 'diagnostic');
+    marker.setAttribute('cx', cell.x/2);
+    marker.setAttribute('cy', cell.y/2);
+    marker.setAttribute('r', stride.y/2);
+    let title = document.createElementNS(svgNamespace, 'title');
+    title.textContent = errors.map(({message}) => message).join('\n');
+    marker.appendChild(title);
+    return marker;
+}
+
+function setSource(node, source) {
+    if (source != null) {
+        node.setAttribute('data-start', source.start);
+        node.setAttribute('data-end', source.end);
+    }
+}
+
+// dimensions measures the true size of the rendering of a model, large enough
+// for the cell of the last glyph in each direction.
+function dimensions(model) {
+    if (model.direction === 'ttb') {
+        return {
+            x: cell.y + (model.size.y-1)*stride.y,
+            y: cell.x + (model.size.x-1)*stride.x,
+        };
+    }
+    return {
+        x: cell.x + (model.size.x-1)*stride.x,
+        y: cell.y + (model.size.y-1)*stride.y,
+    };
+}
+
 function resize(size, scale) {
     return {x: size.x*scale, y: size.y*scale};
 }
@@ -0,0 +1,286 @@
+// A romanization profile describes how to spell emonë in the letters of
+// another script.
+// Its spellings map each cluster of letters to the canonical symbols it
+// stands for.
+// The canonical symbols are the names of the consonants (like "m", "th", or
+// "sh"), the vowels "e", "i", "a", "o", and "u", and the semivowels "w" and
+// "y", which read as consonants at the beginning of a syllable and as vowels
+// after a consonant or another vowel.
+// The symbol "break" is a syllable break, which spells nothing itself but
+// keeps the symbols on either side apart, so "n'g" in the latin profile reads
+// as "n" and "g" rather than "ng", and "a'i" as two vowels rather than a
+// diphthong.
+//
+// The parser reads the longest spelling it can at each position of the text,
+// so "sch" takes precedence over "sc", which takes precedence over "s".
+// Letters that begin no spelling are errors.
+// White space is not part of any profile, and neither are digits and
+// punctuation, which read as numerals and punctuation unless the profile
+// spells them otherwise, like "." for a syllable break in the IPA.
+//
+// A spelling may stand for no symbols at all, for marks like stress that have
+// no bearing on the script.
+//
+// The text is read in Unicode normal form D, so a letter with a diacritic
+// reads as the letter followed by the combining diacritic.
+// Spellings may include diacritics, like "š", which takes precedence over
+// reading the diacritic on its own.
+//
+// Profiles may also have these properties:
+//
+// - foldCase, whether to read capital letters as lower case,
+// - notation, the name of the phonetic notation the profile reads, like
+//   "IPA", in which case letters that begin no spelling are reported as
+//   symbols of that notation with no emonë equivalent,
+// - marks, the meaning of each diacritic that follows a symbol: "length" to
+//   lengthen the symbol by repeating it, "distinct" to separate a vowel from
+//   the vowel before it with a syllable break, or "drop" to ignore it.
+//   Diacritics the profile does not mention are dropped.
+//   Marks may also be letters that are not combining diacritics, like the
+//   IPA length mark "ː".
+//
+// To spell emonë some other way, pass a profile of the same shape to
+// transcribe, like transcribe(text, {romanization: {name, spellings}}).
+
+// Latin letters take a diaeresis for a vowel that does not join the vowel
+// before it, as in "naïve" and "emonë", and a macron or circumflex for a long
+// vowel, as in "ā" or "â".
+// Other accents, like acute and grave for stress, have no bearing on the
+// script.
+const diacritics = {
+    // diaeresis
+    '\u0308': 'distinct',
+    // macron
+    '\u0304': 'length',
+    // circumflex
+    '\u0302': 'length',
+};
+
+// The latin profile is the default, and accepts common alternate spellings
+// of some sounds.
+// An apostrophe separates syllables, as in "n'g" or "a'i".
+export const latin = {
+    name: 'latin',
+    foldCase: true,
+    marks: diacritics,
+    spellings: {
+        'a': ['a'],
+        'e': ['e'],
+        'i': ['i'],
+        'o': ['o'],
+        'u': ['u'],
+        'w': ['w'],
+        'y': ['y'],
+
+        'l': ['l'],
+        'r': ['r'],
+        'm': ['m'],
+        'b': ['b'],
+        // v instead of bh
+        'bh': ['v'],
+        'p': ['p'],
+        // f instead of ph
+        'ph': ['f'],
+        'v': ['v'],
+        'f': ['f'],
+
+        'n': ['n'],
+        'd': ['d'],
+        't': ['t'],
+        'dh': ['dh'],
+        'th': ['th'],
+
+        'ng': ['ng'],
+        'g': ['g'],
+        'k': ['k'],
+        // k instead of c
+        'c': ['k'],
+        'gh': ['gh'],
+        'kh': ['kh'],
+        'x': ['k', 's'],
+        'q': ['k', 'w'],
+        'qu': ['k', 'w'],
+        'qw': ['k', 'w'],
+
+        'dz': ['dz'],
+        'ts': ['ts'],
+        'z': ['z'],
+        's': ['s'],
+        'sc': ['s', 'k'],
+
+        'dj': ['dj'],
+        'ch': ['ch'],
+        'j': ['j'],
+        'sch': ['sh'],
+        // with caron
+        'š': ['sh'],
+        'č': ['ch'],
+        'ž': ['j'],
+
+        "'": ['break'],
+    },
+};
+
+// The strict profile accepts only the canonical spelling of each sound, and
+// rejects the alternate spellings of the latin profile, like "c", "q", and
+// "x".
+export const strict = {
+    name: 'strict',
+    foldCase: true,
+    marks: diacritics,
+    spellings: Object.fromEntries([
+        'a', 'e', 'i', 'o', 'u', 'w', 'y',
+        'l', 'r', 'm', 'b', 'p', 'v', 'f',
+        'n', 'd', 't', 'dh', 'th',
+        'ng', 'g', 'k', 'gh', 'kh',
+        'dz', 'ts', 'z', 's',
+        'dj', 'ch', 'j', 'sh',
+    ].map((symbol) => [symbol, [symbol]]).concat([["'", ['break']]])),
+};
+
+// The ipa profile reads the International Phonetic Alphabet, mapping each
+// sound onto the nearest sound of emonë.
+// Affricates may be written with or without a tie bar, or as ligatures.
+// Other diacritics, like the tilde for nasal vowels, are dropped.
+export const ipa = {
+    name: 'ipa',
+    notation: 'IPA',
+    marks: {
+        'ː': 'length',
+        // half long
+        'ˑ': 'drop',
+    },
+    spellings: {
+        'a': ['a'],
+        'ɑ': ['a'],
+        'e': ['e'],
+        'ɛ': ['e'],
+        'i': ['i'],
+        'ɪ': ['i'],
+        'o': ['o'],
+        'ɔ': ['o'],
+        'u': ['u'],
+        'ʊ': ['u'],
+        // non-syllabic vowels
+        'i̯': ['y'],
+        'ɪ̯': ['y'],
+        'u̯': ['w'],
+        'ʊ̯': ['w'],
+        'j': ['y'],
+        'w': ['w'],
+
+        'l': ['l'],
+        'r': ['r'],
+        'ɾ': ['r'],
+        'ɹ': ['r'],
+        'm': ['m'],
+        'b': ['b'],
+        'p': ['p'],
+        'v': ['v'],
+        'f': ['f'],
+
+        'n': ['n'],
+        'd': ['d'],
+        't': ['t'],
+        'ð': ['dh'],
+        'θ': ['th'],
+
+        'ŋ': ['ng'],
+        'ɡ': ['g'],
+        'g': ['g'],
+        'k': ['k'],
+        'ɣ': ['gh'],
+        'x': ['kh'],
+
+        'd͡z': ['dz'],
+        'dz': ['dz'],
+        'ʣ': ['dz'],
+        't͡s': ['ts'],
+        'ts': ['ts'],
+        'ʦ': ['ts'],
+        'z': ['z'],
+        's': ['s'],
+
+        'd͡ʒ': ['dj'],
+        'dʒ': ['dj'],
+        'ʤ': ['dj'],
+        't͡ʃ': ['ch'],
+        'tʃ': ['ch'],
+        'ʧ': ['ch'],
+        'ʒ': ['j'],
+        'ʃ': ['sh'],
+
+        // primary and secondary stress
+        'ˈ': [],
+        'ˌ': [],
+        '.': ['break'],
+    },
+};
+
+// The xsampa profile reads X-SAMPA, the ASCII transliteration of the IPA,
+// where case matters: "s" is [s] but "S" is [ʃ].
+export const xsampa = {
+    name: 'xsampa',
+    notation: 'X-SAMPA',
+    marks: {
+        ':': 'length',
+    },
+    spellings: {
+        'a': ['a'],
+        'A': ['a'],
+        'e': ['e'],
+        'E': ['e'],
+        'i': ['i'],
+        'I': ['i'],
+        'o': ['o'],
+        'O': ['o'],
+        'u': ['u'],
+        'U': ['u'],
+        // non-syllabic vowels
+        'i_^': ['y'],
+        'u_^': ['w'],
+        'j': ['y'],
+        'w': ['w'],
+
+        'l': ['l'],
+        'r': ['r'],
+        '4': ['r'],
+        'r\\': ['r'],
+        'm': ['m'],
+        'b': ['b'],
+        'p': ['p'],
+        'v': ['v'],
+        'f': ['f'],
+
+        'n': ['n'],
+        'd': ['d'],
+        't': ['t'],
+        'D': ['dh'],
+        'T': ['th'],
+
+        'N': ['ng'],
+        'g': ['g'],
+        'k': ['k'],
+        'G': ['gh'],
+        'x': ['kh'],
+
+        'd_z': ['dz'],
+        'dz': ['dz'],
+        't_s': ['ts'],
+        'ts': ['ts'],
+        'z': ['z'],
+        's': ['s'],
+
+        'd_Z': ['dj'],
+        'dZ': ['dj'],
+        't_S': ['ch'],
+        'tS': ['ch'],
+        'Z': ['j'],
+        'S': ['sh'],
+
+        // primary and secondary stress
+        '"': [],
+        '%': [],
+        '.': ['break'],
+    },
+};
@@ -1,9 +1,13 @@
+import {latin} from './romanization.js';
+
 // This emonë script transcriber is a pair of tangled state machines.
 //
 // The first machine parses phonemes out of latin letter clusters.
 // For example, "m" produces the "m" consonant phoneme,
-// but "p" then "h" produces the "ph" consonant phoneme.
+// but "p" then "h" produces the "f" consonant phoneme.
 // Whereas, "q" produces the "k" and "w" phonemes.
+// The spellings come from a romanization profile (see romanization.js),
+// so the same machine can read other conventions.
 // The machine is "null terminated".
 //
 // The second machine ingests phonemes and aligns the consonants and vowels to
@@ -14,179 +18,831 @@
 // "e") when there are clusters of consonants, or more than two vowels between
 // consonants.
 //
+// Runs of digits are numerals, which the aligner writes digit by digit on the
+// zig-zag, like a word of their own.
+// Punctuation closes a word, like a space, and takes a cell of its own.
+//
 // The final pass simplifies vowel glyphs when connecting two consonants with a
 // single vowel, when the art permits.
 // We then measure the dimensions of the rendered block.
+//
+// Along with the glyphs, the transcriber reports diagnostics for any part of
+// the text it could not transcribe, like {code, message, offset, length},
+// where offset and length locate the offending letters in the text.
+// The same diagnostics appear in the errors array of the affected glyph.
+// The model also keeps the text it transcribed.
+//
+// The transcriber accepts options:
+//
+// - romanization, a profile for reading the text, the latin profile by
+//   default,
+// - columns, the greatest number of columns in a line of glyphs, to wrap
+//   longer lines between words,
+// - direction, the direction of writing, which the model carries to the
+//   renderer (see directions below),
+// - tracer, described below.
+//
+// The optional tracer is a function that receives an event for every step of
+// the machinery:
+//
+// - {type: 'letter', letter, source} for each letter the parser reads,
+// - {type: 'step', state, phoneme, term, connectors} for each phoneme the
+//   aligner receives, with the name of the aligner state, the glyph in
+//   progress, and the connectors carried forward from previous phonemes,
+// - {type: 'emit', glyph} for each glyph the aligner emits, during the step
+//   that precedes it.
 
-export function transcribe(text) {
-    const glyphs = embelish(parse(text));
+export function transcribe(text, {romanization = latin, columns, direction = 'ltr', tracer} = {}) {
+    checkDirection(direction);
+    return model(run(text, {romanization, columns, tracer}).result, direction, text);
+}
+
+// makeTranscriber returns a transcribe function for successive versions of
+// the same text, like the text of an editor as the scribe types.
+// Since the machinery is pure, the state it reaches at the beginning of a line
+// depends only on the text before it.
+// So the transcriber keeps the state at the beginning of every line of the
+// previous version as a checkpoint, and resumes from the last line that the
+// new version leaves unchanged, instead of starting over.
+// It does not accept a tracer, since a resumed transcription would only trace
+// the lines it reads again.
+export function makeTranscriber({romanization = latin, columns, direction = 'ltr'} = {}) {
+    checkDirection(direction);
+    let previous = '';
+    let checkpoints = [];
+    return (text) => {
+        const changed = difference(previous, text);
+        checkpoints = checkpoints.filter(({offset}) => offset <= changed);
+        const {result: glyphs, checkpoints: more} = run(text, {romanization, columns}, checkpoints[checkpoints.length - 1]);
+        checkpoints = [...checkpoints, ...more];
+        previous = text;
+        return model(glyphs, direction, text);
+    };
+}
+
+// difference returns the offset of the first character that differs between
+// two texts.
+function difference(a, b) {
+    const length = Math.min(a.length, b.length);
+    let offset = 0;
+    while (offset < length && a[offset] === b[offset]) {
+        offset++;
+    }
+    return offset;
+}
+
+// parse reads text into phonemes, the sounds that the aligner arranges into
+// glyphs, and returns them in an array.
+// It accepts the romanization and tracer options of transcribe, and its
+// tracer only receives letter events.
+//
+// Phonemes are plain objects, so they survive a round trip through JSON.
+// Each has a type and a source, the range of offsets of the text it came
+// from, like {start, end}.
+// The types of phoneme are:
+//
+// - {type: 'consonant', consonant}, where the consonant is the name of a
+//   consonant, like "m", "th", or "sh",
+// - {type: 'vowel', vowel}, where the vowel is "e", "i", "a", "o", "u", or
+//   the semivowels "w" and "y" when they follow a consonant or a vowel,
+// - {type: 'diphthong', first, second}, two vowels of one syllable, like
+//   "ai",
+// - {type: 'space'} and {type: 'newline'}, which end a word,
+// - {type: 'numeral', digits, sources}, a run of decimal digits, like "42",
+//   where sources has the source of each digit,
+// - {type: 'period'}, {type: 'comma'}, and {type: 'question'},
+// - {type: 'quote', side}, where the side is "open" or "close",
+// - {type: 'error', code, message}, for letters that the parser could not
+//   read, which the aligner reports as diagnostics.
+//
+// A consonant or vowel may also have placeholder: true, to stand where the
+// aligner would otherwise insert a placeholder (see markup below).
+// A consonant, vowel, or diphthong may have a marking, "name" or "emphasis",
+// for the word it belongs to, which the glyphs that bear it carry to the
+// renderer.
+export function parse(text, {romanization = latin, tracer} = {}) {
+    return runReader(text, {romanization, tracer}).result;
+}
+
+// align arranges an array of phonemes into a model, just as transcribe does
+// with the phonemes it parses, so phonemes from a lexicon or any other
+// source can take the layout of the script.
+// It accepts the columns, direction, and tracer options of transcribe.
+// A phoneme without a source takes its index in the array, as if each
+// phoneme were one letter of the text, so diagnostics and the sources of
+// glyphs count phonemes instead.
+// align throws an error for a phoneme that does not fit the types above.
+export function align(phonemes, {columns, direction = 'ltr', tracer} = {}) {
+    checkDirection(direction);
+    let glyphs;
+    let state = aligning((result) => {
+        glyphs = result;
+        return eof;
+    }, {columns, tracer});
+    phonemes.forEach((phoneme, index) => {
+        state = state(checkPhoneme(phoneme, index));
+    });
+    state(null);
+    return model(glyphs, direction);
+}
+
+// The phonemes the aligner accepts, and whether each phoneme of a type has
+// what the aligner needs.
+const phonemeTypes = {
+    consonant: ({consonant}) => Object.hasOwn(consonantGlyphs, consonant),
+    vowel: ({vowel}) => Object.hasOwn(vocalic, vowel),
+    diphthong: ({first, second}) => Object.hasOwn(vocalic, first) && Object.hasOwn(vocalic, second),
+    space: () => true,
+    newline: () => true,
+    numeral: ({digits, sources}) => typeof digits === 'string' && /^[0-9]+$/.test(digits) &&
+        (sources == null || (Array.isArray(sources) && sources.length === digits.length)),
+    period: () => true,
+    comma: () => true,
+    question: () => true,
+    quote: ({side}) => side === 'open' || side === 'close',
+    error: ({message}) => typeof message === 'string',
+};
+
+// checkPhoneme returns a phoneme with a source, and sources for the digits of
+// a numeral, or throws an error if the aligner cannot accept it.
+function checkPhoneme(phoneme, index) {
+    if (phoneme == null || typeof phoneme !== 'object' ||
+        !Object.hasOwn(phonemeTypes, phoneme.type) || !phonemeTypes[phoneme.type](phoneme) ||
+        (phoneme.marking != null && !markings.includes(phoneme.marking))) {
+        throw new Error(`phoneme ${index} is not a phoneme: ${JSON.stringify(phoneme)}`);
+    }
+    const source = phoneme.source || {start: index, end: index + 1};
+    if (phoneme.type === 'numeral' && phoneme.sources == null) {
+        return {...phoneme, source, sources: [...phoneme.digits].map(() => source)};
+    }
+    return {...phoneme, source};
+}
+
+function model(parsed, direction, text) {
+    return assemble(embelish(parsed), direction, text);
+}
+
+// assemble completes a model from glyphs that already name their strokes,
+// like the glyphs of a model read from a file (see interchange.js), by
+// measuring them and gathering their diagnostics.
+// The model keeps the text of the glyphs, if known, whose offsets their
+// sources count, for the renderer to label the words it draws.
+export function assemble(glyphs, direction, text) {
+    checkDirection(direction);
     const size = measure(glyphs);
-    console.log(glyphs);
-    return {glyphs, size};
+    const diagnostics = diagnose(glyphs);
+    if (text == null) {
+        return {glyphs, size, diagnostics, direction};
+    }
+    return {glyphs, size, diagnostics, direction, text};
+}
+
+// The glyphs of a model are always arranged on a grid of lines that run left
+// to right, each a pair of rows, stacked downward.
+// The direction of writing tells the renderer how to place that grid on the
+// page:
+//
+// - "ltr", left to right, as the grid is,
+// - "rtl", right to left, the mirror image of the grid,
+// - "ttb", top to bottom in columns from left to right, the grid reflected
+//   across its diagonal, so the high and low rows of each line become its
+//   left and right columns,
+// - "boustrophedon", left to right and right to left on alternating lines.
+//
+// The renderer reflects the strokes of each cell along with the grid, so the
+// zig-zag stays connected.
+export const directions = ['ltr', 'rtl', 'ttb', 'boustrophedon'];
+
+function checkDirection(direction) {
+    if (!directions.includes(direction)) {
+        throw new Error(`unknown direction ${JSON.stringify(direction)}, expected one of ${directions.join(', ')}`);
+    }
 }
 
 // makeParser takes an initial parse state (the grammar's start rule) and
 // returns a function that runs the parser to completion with a string of text,
 // returning the final result.
 // This glues a pure functional parser into an imperative interface.
+// Along with each character, the parser receives its source, the range of
+// offsets it occupies in the text, so that phonemes and glyphs can carry the
+// range of the text they came from.
+//
+// The parser also returns a checkpoint for the beginning of each line, like
+// {state, offset, box}, and can resume from one of them, reading the rest of
+// a text that begins the same way.
+// Every run from the same beginning delivers its result into the same box,
+// which the parser reads as soon as the run ends.
 function makeParser(start) {
-    return (text) => {
-        let result = [];
-        let state = start((res) => {
-            result = res;
-            return eof;
-        });
-        for (const character of text) {
-            state = state(character);
+    return (text, options, checkpoint = begin(start, options)) => {
+        const trace = options.tracer;
+        const {box} = checkpoint;
+        let {state, offset} = checkpoint;
+        const checkpoints = [];
+        for (const character of text.slice(offset)) {
+            const source = {start: offset, end: offset + character.length};
+            if (trace != null) {
+                trace({type: 'letter', letter: character, source});
+            }
+            state = state(character, source);
+            offset += character.length;
+            if (character === '\n') {
+                checkpoints.push({state, offset, box});
+            }
         }
-        state = state(null);
-        return result;
+        state(null, {start: offset, end: offset});
+        return {result: box.result, checkpoints};
     };
 }
 
+function begin(start, options) {
+    const box = {result: []};
+    const state = start((result) => {
+        box.result = result;
+        return eof;
+    }, options);
+    return {state, offset: 0, box};
+}
+
 // start accepts a callback to receive the final trascribed model
 // and combines all the machinery for the transcriber.
-// favorConsonant is the initial rule for the latin phoneme parser.
-// That in turn emits phonemes into an aligner state machine.
+// The reader emits phonemes into an aligner state machine, through a
+// wrapper if the lines must fit a number of columns.
 // The aligner emits glyphs into a collector, which emits an
 // array of glyphs into the callback when the stream ends.
-function start(cb) {
-    return favorConsonant(aligner(collector([], cb)));
+// With a tracer, the aligner also emits glyphs through a tracing stage.
+function start(cb, {romanization, columns, tracer}) {
+    return reader(romanization, aligning(cb, {columns, tracer}));
+}
+
+const run = makeParser(start);
+
+// The parser alone reads phonemes into a collector.
+const runReader = makeParser((cb, {romanization}) => reader(romanization, collector(null, cb)));
+
+// reader combines the stages that read phonemes from text.
+// The normalizer decomposes letters and their diacritics into the markup
+// stage.
+// The markup stage reads tags that override the parser, and passes them
+// along with the other letters to the capitals stage, if the profile folds
+// case, or else straight to the speller.
+// The capitals stage notes the marking of each word, name or emphasis, that
+// its capital letters imply, before passing its letters to the speller.
+// The speller reads letters with the romanization profile and emits
+// canonical symbols, along with any diacritics, into the marker.
+// The marker applies the diacritics and emits symbols into the phoneme parser.
+// favorConsonant is the initial rule for the phoneme parser.
+// The phoneme parser emits phonemes into markWords, which applies the
+// marking of each word to its phonemes.
+function reader(romanization, emit) {
+    const spell = speller(romanization, marker(romanization, null, favorConsonant(markWords(null, false, emit))));
+    return normalizer(markup(romanization.foldCase ? capitals(true, [], spell) : spell));
+}
+
+function aligning(cb, {columns, tracer: trace}) {
+    let emit = collector(null, cb);
+    if (trace != null) {
+        emit = tracing(trace, emit);
+    }
+    let state = aligner(trace, emit);
+    if (columns != null) {
+        state = wrapper(columns, state);
+    }
+    return state;
+}
+
+// collector gathers glyphs, or phonemes, into a linked list, most recent
+// first, so that the states of every checkpoint can share the glyphs before
+// them.
+function collector(list, cb) {
+    return (glyph) => {
+        if (glyph == null) {
+            const glyphs = [];
+            for (; list != null; list = list.rest) {
+                glyphs.push(list.glyph);
+            }
+            return cb(glyphs.reverse());
+        }
+        return collector({glyph, rest: list}, cb);
+    };
+}
+
+function tracing(trace, emit) {
+    return (glyph) => {
+        if (glyph != null) {
+            trace({type: 'emit', glyph});
+        }
+        return tracing(trace, emit(glyph));
+    };
+}
+
+// span returns the source range from the first to the last of a cluster of
+// characters.
+function span(first, last) {
+    return {start: first.start, end: last.end};
+}
+
+// The parser reads letters in stages.
+//
+// The normalizer decomposes each character into a letter and its combining
+// diacritics (Unicode NFD), so "ë" reads as "e" followed by a diaeresis,
+// whether it was typed as one character or two.
+// Every letter of a decomposed character shares the source of the character.
+// The normalizer also reads typographic variants of the characters the
+// romanization profiles expect, like curly apostrophes, as the plain
+// characters, and tabs and other spaces, like no-break spaces, as spaces.
+
+function normalizer(emit) {
+    return (character, source) => {
+        if (character == null) {
+            return normalizer(emit(null, source));
+        }
+        let emitted = emit;
+        for (const letter of character.normalize('NFD')) {
+            emitted = emitted(equivalent(letter), source);
+        }
+        return normalizer(emitted);
+    };
+}
+
+const equivalents = {
+    '\t': ' ',
+    // left and right single quotation marks and the modifier letter
+    // apostrophe
+    '\u2018': "'",
+    '\u2019': "'",
+    '\u02bc': "'",
+    // line and paragraph separators
+    '\u2028': '\n',
+    '\u2029': '\n',
+};
+
+function equivalent(letter) {
+    if (Object.hasOwn(equivalents, letter)) {
+        return equivalents[letter];
+    }
+    if (/\p{Zs}/u.test(letter)) {
+        return ' ';
+    }
+    return letter;
+}
+
+// The markup stage reads tags in braces, which override the reading of the
+// parser and aligner where the spelling alone would mislead them:
+//
+// - {w:vowel} or {w:consonant}, and likewise for "y", reads a semivowel as a
+//   vowel or a consonant, wherever it appears,
+// - {a:vowel}, or any other vowel, reads a vowel on its own, which never
+//   joins the vowel beside it in a diphthong,
+// - {ai:diphthong} reads two vowels as one diphthong,
+// - {o:placeholder}, or any other vowel or consonant, writes the symbol where
+//   the aligner would otherwise insert a placeholder "e" or "m", and the
+//   decoder writes the tag again for it.
+//   A semivowel in a placeholder tag reads as a vowel.
+// - {name} and {emphasis} mark the word that follows as a proper name or as
+//   emphasized, regardless of its capitals (see capitals below).
+//
+// The symbols in tags are the canonical symbols (see romanization.js),
+// whatever the romanization profile.
+// To keep two symbols apart without a tag, profiles spell a syllable break,
+// like the apostrophe of "n'g" in the latin profile.
+//
+// The markup stage emits each tag as one symbol, like {symbol: 'w', role:
+// 'vowel'} or {marking: 'name'}, with the source of the whole tag, and a tag
+// that it cannot read, or that a line break or the end of the text
+// interrupts, as an error.
+
+function markup(emit) {
+    return (letter, source) => {
+        if (letter === '{') {
+            return tag(emit, '', source, source);
+        }
+        return markup(emit(letter, source));
+    };
+}
+
+// tag reads the text of a tag, from the opening brace to the last letter so
+// far.
+function tag(emit, text, from, to) {
+    return (letter, source) => {
+        if (letter === '}') {
+            return markup(emit(readTag(text), span(from, source)));
+        }
+        if (letter == null || letter === '\n' || letter === '{') {
+            const error = {
+                code: 'unclosed-tag',
+                message: `unclosed tag ${JSON.stringify('{' + text)}`,
+            };
+            return markup(emit(error, span(from, to)))(letter, source);
+        }
+        return tag(emit, text + letter, from, source);
+    };
+}
+
+// The roles of tags, and whether each accepts a symbol.
+const tagRoles = {
+    consonant: (symbol) => Object.hasOwn(consonantGlyphs, symbol),
+    vowel: (symbol) => Object.hasOwn(vocalic, symbol),
+    diphthong: (symbol) => symbol.length === 2 && [...symbol].every((vowel) => Object.hasOwn(vocalic, vowel)),
+    placeholder: (symbol) => Object.hasOwn(vocalic, symbol) || Object.hasOwn(consonantGlyphs, symbol),
+};
+
+function readTag(text) {
+    if (markings.includes(text)) {
+        return {marking: text};
+    }
+    const [symbol, role, ...rest] = text.split(':');
+    if (rest.length === 0 && role != null && Object.hasOwn(tagRoles, role) && tagRoles[role](symbol)) {
+        return {symbol, role};
+    }
+    return {
+        code: 'unknown-tag',
+        message: `unknown tag ${JSON.stringify('{' + text + '}')}`,
+    };
+}
+
+function isTag(symbol) {
+    return symbol != null && typeof symbol === 'object' && symbol.role != null;
+}
+
+function isMarking(symbol) {
+    return symbol != null && typeof symbol === 'object' && symbol.marking != null;
 }
 
-const parse = makeParser(start);
+// The markings of a word, which the renderer draws around its glyphs.
+export const markings = ['name', 'emphasis'];
 
-function collector(head, cb) {
-    return (tail) => {
-        if (tail == null) {
-            return cb(head);
+// The capitals stage reads the marking of a word from its capitals, in
+// profiles that fold case, where capitals otherwise make no difference:
+//
+// - a word in capitals, of two letters or more, like "EMONE", is
+//   emphasized,
+// - a word with a capital first letter, of two letters or more, like
+//   "Emone", is a name, unless it begins a sentence, at the beginning of the
+//   text or of a line, or after a period or a question mark, so a capital
+//   letter alone, like "I", is not.
+//
+// The stage holds the letters of each word until the word ends, then emits
+// the marking of the word, if any, as a symbol like {marking: 'name'} with
+// the source of the whole word, followed by the letters of the word.
+// Tags within a word are part of the word.
+
+function capitals(sentence, word, emit) {
+    return (letter, source) => {
+        if (isWordLetter(letter)) {
+            return capitals(sentence, [...word, {letter, source}], emit);
         }
-        return collector([...head, tail], cb);
+        let emitted = emit;
+        if (word.length > 0) {
+            const marking = wordMarking(word, sentence);
+            if (marking != null) {
+                emitted = emitted({marking}, span(word[0].source, word[word.length - 1].source));
+            }
+            for (const held of word) {
+                emitted = emitted(held.letter, held.source);
+            }
+        }
+        const next = Object.hasOwn(sentenceEnds, letter) ? true :
+            word.length > 0 ? false :
+            sentence;
+        return capitals(next, [], emitted(letter, source));
     };
 }
 
+const sentenceEnds = {
+    '.': true,
+    '?': true,
+    '\n': true,
+};
+
+function isWordLetter(letter) {
+    return isTag(letter) || (typeof letter === 'string' && /^[\p{L}\p{M}']$/u.test(letter));
+}
+
+function wordMarking(word, sentence) {
+    const letters = word.map(({letter}) => letter).filter((letter) => typeof letter === 'string' && /^\p{L}$/u.test(letter));
+    const capital = (letter) => letter !== letter.toLowerCase();
+    if (letters.length >= 2 && letters.every(capital)) {
+        return 'emphasis';
+    }
+    if (letters.length >= 2 && capital(letters[0]) && !sentence) {
+        return 'name';
+    }
+    return null;
+}
+
+// The speller reads clusters of letters according to a romanization profile
+// and emits the canonical symbols they spell, each with the source of the
+// whole cluster.
+// Letters that might begin a longer spelling remain pending until the next
+// letter settles the matter.
+// Then the speller emits the longest spelling it found among the pending
+// letters and reads the remaining letters again.
+// White space, diacritics, digits, punctuation, and tags pass through, and
+// letters that begin no spelling become errors.
+// Diacritics can still be part of a spelling, like the caron of "š".
+
+const whitespace = {
+    ' ': true,
+    '\n': true,
+    '\r': true,
+    '\t': true,
+};
+
+function speller(romanization, emit) {
+    const root = compile(romanization);
+    return spelling(root, root, [], null, emit);
+}
+
+// spelling is the state of the speller after reading the pending letters,
+// which lead to a node of the profile's tree of spellings.
+// The match is the longest spelling among the pending letters so far, if
+// any, as {symbols, length}.
+function spelling(root, node, pending, match, emit) {
+    return (letter, source) => {
+        if (typeof letter === 'string' && root.romanization.foldCase) {
+            letter = letter.toLowerCase();
+        }
+        const next = letter == null ? null : node.next.get(letter);
+        if (next != null) {
+            const longer = [...pending, {letter, source}];
+            const longest = next.symbols != null ? {symbols: next.symbols, length: longer.length} : match;
+            return spelling(root, next, longer, longest, emit);
+        }
+
+        if (pending.length === 0) {
+            if (letter == null || typeof letter === 'object' || whitespace[letter] || isDigit(letter) ||
+                Object.hasOwn(punctuation, letter) || isMark(root.romanization, letter)) {
+                return spelling(root, root, [], null, emit(letter, source));
+            }
+            return spelling(root, root, [], null, emit(unspelled(root.romanization, letter), source));
+        }
+
+        let rest;
+        let emitted = emit;
+        if (match != null) {
+            const cluster = span(pending[0].source, pending[match.length - 1].source);
+            for (const symbol of match.symbols) {
+                emitted = emitted(symbol, cluster);
+            }
+            rest = pending.slice(match.length);
+        } else {
+            emitted = emitted(unspelled(root.romanization, pending[0].letter), pending[0].source);
+            rest = pending.slice(1);
+        }
+        let state = spelling(root, root, [], null, emitted);
+        for (const {letter, source} of rest) {
+            state = state(letter, source);
+        }
+        return state(letter, source);
+    };
+}
+
+// unspelled describes the error for a letter that begins no spelling.
+function unspelled(romanization, letter) {
+    if (romanization.notation != null) {
+        const point = letter.codePointAt(0).toString(16).toUpperCase().padStart(4, '0');
+        return {
+            code: 'unmapped-symbol',
+            message: `${romanization.notation} symbol ${JSON.stringify(letter)} (U+${point}) has no emonë equivalent`,
+        };
+    }
+    return {
+        code: 'unexpected-character',
+        message: `unexpected ${JSON.stringify(letter)}`,
+    };
+}
+
+const compiled = new WeakMap();
+
+// compile arranges the spellings of a romanization profile into a tree, with
+// a node for each letter of each spelling, and the symbols of the spelling on
+// its last node.
+function compile(romanization) {
+    let root = compiled.get(romanization);
+    if (root != null) {
+        return root;
+    }
+    root = {symbols: null, next: new Map(), romanization};
+    for (const [letters, symbols] of Object.entries(romanization.spellings)) {
+        for (const symbol of symbols) {
+            if (!isSymbol(symbol)) {
+                throw new Error(`romanization ${romanization.name} spells ${JSON.stringify(letters)} with unknown symbol ${JSON.stringify(symbol)}`);
+            }
+        }
+        let node = root;
+        for (const letter of letters.normalize('NFD')) {
+            if (!node.next.has(letter)) {
+                node.next.set(letter, {symbols: null, next: new Map()});
+            }
+            node = node.next.get(letter);
+        }
+        node.symbols = symbols;
+    }
+    compiled.set(romanization, root);
+    return root;
+}
+
+const vowels = {
+    e: true,
+    i: true,
+    a: true,
+    o: true,
+    u: true,
+};
+
+// After a consonant or a vowel, the semivowels are vowels too.
+const vocalic = {...vowels, w: true, y: true};
+
+// "break" is the symbol for a syllable break.
+function isSymbol(symbol) {
+    return symbol === 'break' || Object.hasOwn(vowels, symbol) || Object.hasOwn(consonantGlyphs, symbol);
+}
+
+// isMark determines whether a letter is a diacritic, either a combining
+// mark or a letter the romanization profile treats as one, like the IPA
+// length mark.
+function isMark(romanization, letter) {
+    return /^\p{M}$/u.test(letter) ||
+        (romanization.marks != null && Object.hasOwn(romanization.marks, letter));
+}
+
+function isDigit(letter) {
+    return typeof letter === 'string' && /^[0-9]$/.test(letter);
+}
+
+// The marker applies each diacritic to the symbol before it, according to
+// the marks of the romanization profile:
+//
+// - "length" lengthens the symbol, repeating it, so "ā" reads as "aa",
+// - "distinct" separates a vowel from the vowel before it, with a syllable
+//   break, so "aï" reads as two vowels instead of a diphthong,
+// - "drop" ignores the diacritic, as for stress or tone.
+//
+// Diacritics the profile does not mention are dropped, as are diacritics that
+// follow white space, a syllable break, an error, or the beginning of the
+// text.
+// The marker holds each symbol until it sees whether a diacritic follows.
+
+function marker(romanization, held, emit) {
+    return (symbol, source) => {
+        if (typeof symbol === 'string' && isMark(romanization, symbol)) {
+            const meaning = romanization.marks != null && Object.hasOwn(romanization.marks, symbol) ?
+                romanization.marks[symbol] : 'drop';
+            if (held == null || !isSymbol(held.symbol) || held.symbol === 'break') {
+                return marker(romanization, held, emit);
+            }
+            switch (meaning) {
+            case 'length':
+                return marker(romanization, {symbol: held.symbol, source}, emit(held.symbol, held.source));
+            case 'distinct':
+                return marker(romanization, held, emit('break', source));
+            }
+            return marker(romanization, held, emit);
+        }
+        const emitted = held != null ? emit(held.symbol, held.source) : emit;
+        if (symbol == null) {
+            return marker(romanization, null, emitted(null, source));
+        }
+        return marker(romanization, {symbol, source}, emitted);
+    };
+}
+
+// The last stage reads the canonical symbols and emits phonemes, telling
+// apart the consonantal and vocalic semivowels, and gathering diphthongs.
+// The symbol for a letter the speller could not read is an object with the
+// code and message of the error.
+// Digits gather into numerals, like {type: 'numeral', digits: '42', sources,
+// source}, where sources has the source of each digit.
+// Punctuation becomes phonemes of its own types, like {type: 'period',
+// source}.
+// Quotation marks are {type: 'quote', side, source}, where the side is "open"
+// or "close".
+// A straight quotation mark opens a quotation when a word follows it, and
+// closes one otherwise.
+
+const punctuation = {
+    '.': {type: 'period'},
+    ',': {type: 'comma'},
+    '?': {type: 'question'},
+    '"': {type: 'quote'},
+    '\u201c': {type: 'quote', side: 'open'},
+    '\u201d': {type: 'quote', side: 'close'},
+    '\u201e': {type: 'quote', side: 'open'},
+    '\u00ab': {type: 'quote', side: 'open'},
+    '\u00bb': {type: 'quote', side: 'close'},
+};
+
 // treat w and y as vowels after scanning a consonant.
 function favorVowel(emit) {
-    return (letter) => {
-        switch (letter) {
+    return (symbol, source) => {
+        switch (symbol) {
         case 'w': case'y':
-            return maybeDiphthong(emit, letter);
+            return maybeDiphthong(emit, symbol, source);
         }
-        return favorConsonant(emit)(letter);
+        return favorConsonant(emit)(symbol, source);
     };
 }
 
 // treat w and y as consonants initially.
 function favorConsonant(emit) {
-    return (first) => {
-        switch (first) {
+    return (symbol, source) => {
+        switch (symbol) {
         case null:
             return favorConsonant(emit(null));
         case '\n': case '\r':
-            return space(emit({type: 'newline'}));
+            return space(emit({type: 'newline', source}), true);
         case ' ':
-            return space(emit({type: 'space'}));
-        case 'x':
-            return favorConsonant(emit)('k')('s');
-        case 'q':
-            return (second) => {
-                let next = favorConsonant(emit)('k')('w');
-                if (second != 'u' && second != 'w') {
-                    next = next(second);
-                }
-                return next;
-            };
-        case 'w': case 'y':
-            return favorVowel(emit({type: 'consonant', consonant: first}));
-        case 'e': case 'i': case 'y': case 'a': case 'o': case 'u':
-            return maybeDiphthong(emit, first);
-        case 'r': case 'l': case 'm': case 'v': case 'f': case 'j': case 'z':
-            return favorVowel(emit({type: 'consonant', consonant: first}));
-        case 'g': case 'k':
-            return (second) => {
-                switch (second) {
-                case 'h':
-                    return favorVowel(emit({type: 'consonant', consonant: first+second}));
-                }
-                return favorVowel(emit({type: 'consonant', consonant: first}))(second);
-            };
-        case 'c':
-            return (second) => {
-                switch (second) {
-                case 'h':
-                    return favorVowel(emit({type: 'consonant', consonant: first+second}));
-                }
-                // k instead of c
-                return favorVowel(emit({type: 'consonant', consonant: 'k'}))(second);
-            };
-        case 'n':
-            return (second) => {
-                switch (second) {
-                case 'g':
-                    return favorVowel(emit({type: 'consonant', consonant: first+second}));
-                }
-                return favorVowel(emit({type: 'consonant', consonant: first}))(second);
-            };
-        case 'b':
-            return (second) => {
-                switch (second) {
-                case 'h':
-                    // v instead of bh
-                    return favorVowel(emit({type: 'consonant', consonant: 'v'}));
-                }
-                return favorVowel(emit({type: 'consonant', consonant: first}))(second);
-            };
-        case 'p':
-            return (second) => {
-                switch (second) {
-                case 'h':
-                    // f instead of ph
-                    return favorVowel(emit({type: 'consonant', consonant: 'f'}));
-                }
-                return favorVowel(emit({type: 'consonant', consonant: first}))(second);
-            };
-        case 't':
-            return (second) => {
-                switch (second) {
-                    case 'h': case 's':
-                    return favorVowel(emit({type: 'consonant', consonant: first+second}));
-                }
-                return favorVowel(emit({type: 'consonant', consonant: first}))(second);
-            };
-        case 'd':
-            return (second) => {
-                switch (second) {
-                    case 'h': case 'j': case 'z':
-                    return favorVowel(emit({type: 'consonant', consonant: first+second}));
-                }
-                return favorVowel(emit({type: 'consonant', consonant: first}))(second);
-            };
-        case 's':
-            return (second) => {
-                switch (second) {
-                case 'c':
-                    return (third) => {
-                        switch (third) {
-                        case 'h':
-                            return favorVowel(emit({type: 'consonant', consonant: 'sh'}));
-                        }
-                        return favorVowel(emit({type: 'consonant', consonant: 's'})({type: 'consonant', consonant: 'k'}))(third);
-                    };
-                }
-                return favorVowel(emit({type: 'consonant', consonant: 's'}))(second);
-            };
+            return space(emit({type: 'space', source}), false);
+        case 'break':
+            // A syllable break only keeps the symbols on either side apart.
+            return favorConsonant(emit);
+        case 'e': case 'i': case 'a': case 'o': case 'u':
+            return maybeDiphthong(emit, symbol, source);
         }
-        return favorVowel(emit({type: 'error', error: 'unexpected ' + first}));
+        if (isDigit(symbol)) {
+            return numeral(emit, symbol, [source]);
+        }
+        if (typeof symbol === 'string' && Object.hasOwn(punctuation, symbol)) {
+            const mark = punctuation[symbol];
+            if (mark.type === 'quote' && mark.side == null) {
+                return quote(emit, source);
+            }
+            return favorConsonant(emit({...mark, source}));
+        }
+        if (typeof symbol === 'string' && Object.hasOwn(consonantGlyphs, symbol)) {
+            return favorVowel(emit({type: 'consonant', consonant: symbol, source}));
+        }
+        if (isTag(symbol)) {
+            return tagged(emit, symbol, source);
+        }
+        if (isMarking(symbol)) {
+            return favorConsonant(emit({type: 'marking', marking: symbol.marking, source}));
+        }
+        return favorVowel(emit(error(symbol, source)));
+    };
+}
+
+// tagged reads the phoneme that a tag prescribes.
+function tagged(emit, {symbol, role}, source) {
+    switch (role) {
+    case 'consonant':
+        return favorVowel(emit({type: 'consonant', consonant: symbol, source}));
+    case 'vowel':
+        return favorConsonant(emit({type: 'vowel', vowel: symbol, source}));
+    case 'diphthong':
+        return favorConsonant(emit({type: 'diphthong', first: symbol[0], second: symbol[1], source}));
+    }
+    if (Object.hasOwn(vocalic, symbol)) {
+        return favorConsonant(emit({type: 'vowel', vowel: symbol, placeholder: true, source}));
+    }
+    return favorVowel(emit({type: 'consonant', consonant: symbol, placeholder: true, source}));
+}
+
+function error(symbol, source) {
+    if (typeof symbol === 'object') {
+        return {type: 'error', code: symbol.code, message: symbol.message, source};
+    }
+    return {
+        type: 'error',
+        code: 'unexpected-character',
+        message: `unexpected ${JSON.stringify(symbol)}`,
+        source,
+    };
+}
+
+// numeral reads the remaining digits of a numeral.
+function numeral(emit, digits, sources) {
+    return (symbol, source) => {
+        if (isDigit(symbol)) {
+            return numeral(emit, digits + symbol, [...sources, source]);
+        }
+        const phoneme = {
+            type: 'numeral',
+            digits,
+            sources,
+            source: span(sources[0], sources[sources.length - 1]),
+        };
+        return favorConsonant(emit(phoneme))(symbol, source);
     };
 }
 
-function maybeDiphthong(emit, first) {
-    return (second) => {
+// quote decides which side of a quotation a straight quotation mark is on by
+// the symbol that follows it.
+function quote(emit, from) {
+    return (symbol, source) => {
+        const closing = symbol == null || whitespace[symbol] || Object.hasOwn(punctuation, symbol);
+        const phoneme = {type: 'quote', side: closing ? 'close' : 'open', source: from};
+        return favorConsonant(emit(phoneme))(symbol, source);
+    };
+}
+
+function maybeDiphthong(emit, first, from) {
+    return (second, to) => {
         switch (second) {
         case null:
-            return favorConsonant(emit({type: 'vowel', vowel: first})(null));
+            return favorConsonant(emit({type: 'vowel', vowel: first, source: from})(null));
         case ' ':
-            return space(emit({type: 'vowel', vowel: first})({type: 'space'}));
+            return space(emit({type: 'vowel', vowel: first, source: from})({type: 'space', source: to}));
         case 'e':
         case 'i':
         case 'y':
@@ -194,19 +850,55 @@ function maybeDiphthong(emit, first) {
         case 'o':
         case 'u':
         case 'w':
-            return favorConsonant(emit({type: 'diphthong', first, second}));
+            return favorConsonant(emit({type: 'diphthong', first, second, source: span(from, to)}));
         }
-        return favorConsonant(emit({type: 'vowel', vowel: first}))(second);
+        return favorConsonant(emit({type: 'vowel', vowel: first, source: from}))(second, to);
     };
 }
 
-function space(emit) {
-    return (letter) => {
-        switch (letter) {
-        case ' ': case '\n': case '\r': case '\t':
-            return space(emit);
+// space skips the white space between words, except that a line break
+// still breaks the line after spaces.
+// Once the line breaks, the white space that follows collapses into the one
+// line break, blank lines and the line feed after a carriage return alike.
+function space(emit, broken) {
+    return (symbol, source) => {
+        switch (symbol) {
+        case '\n': case '\r':
+            if (broken) {
+                return space(emit, true);
+            }
+            return space(emit({type: 'newline', source}), true);
+        case ' ': case '\t':
+            return space(emit, broken);
+        }
+        return favorConsonant(emit)(symbol, source);
+    };
+}
+
+// markWords applies the marking of a word to the consonants and vowels of
+// the word, from a marking phoneme before the word to the next space or
+// newline after the word has begun, and passes on the other phonemes
+// unchanged.
+// So a tag marks the word that follows it even across white space, as in
+// "{name} emone".
+// The first marking of a word prevails, so markup outweighs capitals.
+function markWords(marking, begun, emit) {
+    return (phoneme) => {
+        if (phoneme == null) {
+            return markWords(null, false, emit(null));
+        }
+        switch (phoneme.type) {
+        case 'marking':
+            return markWords(marking || phoneme.marking, begun, emit);
+        case 'space': case 'newline':
+            if (!begun) {
+                return markWords(marking, false, emit(phoneme));
+            }
+            return markWords(null, false, emit(phoneme));
+        case 'consonant': case 'vowel': case 'diphthong':
+            return markWords(marking, true, emit(marking != null ? {...phoneme, marking} : phoneme));
         }
-        return favorConsonant(emit)(letter);
+        return markWords(marking, begun, emit(phoneme));
     };
 }
 
@@ -216,131 +908,225 @@ function eof() {
 
 // ---
 
+// The wrapper breaks lines between words, so that no line of glyphs is wider
+// than a number of columns, if it can help it.
+// It holds the phonemes of each word until the word ends, measures the word,
+// and emits a newline before the word if the word would not fit on the rest
+// of the line.
+// Where a word begins depends on how the word before it ends, so the wrapper
+// measures each word by continuing a second aligner, which receives the same
+// phonemes as the true aligner, from the state where the line ends.
+// Since the aligner is pure, the wrapper can try a word on the rest of the
+// line and still take it back to the next line.
+// A word wider than a line gets a line of its own.
+// Only spaces and newlines end a word, so punctuation stays with the word
+// beside it.
+
+function wrapper(columns, emit) {
+    const box = {width: 0};
+    const measurer = aligner(undefined, widest(0, 0, (width) => {
+        box.width = width;
+        return eof;
+    }));
+    return wrapping(columns, box, measurer, 0, [], emit);
+}
+
+// wrapping holds the phonemes of a word, where the line so far, measured by
+// the measurer, takes a number of columns.
+function wrapping(columns, box, measurer, column, word, emit) {
+    return (phoneme) => {
+        if (phoneme != null && phoneme.type !== 'space' && phoneme.type !== 'newline') {
+            return wrapping(columns, box, measurer, column, [...word, phoneme], emit);
+        }
+        let emitted = emit;
+        let next = column;
+        if (word.length > 0) {
+            let measured = feed(measurer, word);
+            next = measureLine(box, measured);
+            if (column > 0 && next > columns) {
+                const {start} = word[0].source;
+                const newline = {type: 'newline', source: {start, end: start}};
+                emitted = emitted(newline);
+                measured = feed(measurer(newline), word);
+                next = measureLine(box, measured);
+            }
+            for (const held of word) {
+                emitted = emitted(held);
+            }
+            measurer = measured;
+        }
+        if (phoneme == null) {
+            return wrapping(columns, box, measurer, 0, [], emitted(null));
+        }
+        if (phoneme.type === 'newline') {
+            next = 0;
+        }
+        return wrapping(columns, box, measurer(phoneme), next, [], emitted(phoneme));
+    };
+}
+
+function feed(state, phonemes) {
+    for (const phoneme of phonemes) {
+        state = state(phoneme);
+    }
+    return state;
+}
+
+// measureLine returns the number of columns that the last line takes, if the
+// text ended in a state of the measurer.
+function measureLine(box, measurer) {
+    measurer(null);
+    return box.width;
+}
+
+// widest receives the glyphs of the measurer and reports the width of the
+// last line of glyphs to a callback, when the glyphs end.
+function widest(line, width, cb) {
+    return (glyph) => {
+        if (glyph == null) {
+            return cb(width);
+        }
+        const next = Math.floor(glyph.y / 2);
+        const before = next === line ? width : 0;
+        return widest(next, glyph.empty ? before : Math.max(before, glyph.x + 1), cb);
+    };
+}
+
+// ---
+
 // The aligner has five states (depending on whether anticipating
 // a consonant or vowel on the high or low end of the zig-zag curve).
 // In each state, the aligner considers what to do when encountering
 // vowels, phonemes, dipthongs, and white space.
-function aligner(emit) {
-    return beforeHigh({x: 0, y: 0, empty: true}, emit);
+// Each state reports a step to the tracer, if there is one.
+function aligner(trace, emit) {
+    return beforeHigh(trace, {x: 0, y: 0, empty: true}, emit);
 }
 
-function beforeHigh(term, emit) {
+function beforeHigh(trace, term, emit) {
     return (phoneme) => {
-        console.log('before high', phoneme);
+        step(trace, {state: 'beforeHigh', phoneme, term});
         if (phoneme == null) {
             return alignerEnd(emit(term)(null));
         }
         switch (phoneme.type) {
         case 'vowel':
-            return high({
+            return high(trace, claim({
                 ...term,
                 empty: false,
                 north: phoneme.vowel,
-            }, {
+            }, 'north', phoneme), {
             }, {
                 empty: false,
                 center: 'm',
+                placeholders: ['center'],
             }, emit);
         case 'diphthong':
-            return low({
+            return low(trace, claim({
                 x: term.x,
                 y: term.y + 1,
                 empty: false,
                 north: phoneme.second,
-            }, {
+            }, 'north', phoneme), {
             }, {
                 empty: false,
                 center: 'm',
-            }, emit({
+                placeholders: ['center'],
+            }, emit(claim({
                 ...term,
                 empty: false,
                 south: phoneme.first,
-            }));
+            }, 'south', phoneme)));
         case 'consonant':
-            return afterHigh({
+            return afterHigh(trace, claim({
                 ...term,
                 empty: false,
                 center: phoneme.consonant,
-            }, {
+            }, 'center', phoneme), {
                 empty: false,
                 south: 'e',
+                placeholders: ['south'],
             }, {
                 empty: false,
                 north: 'e',
+                placeholders: ['north'],
             }, emit);
+        case 'numeral': case 'period': case 'comma': case 'question': case 'quote':
+            return writeApart(trace, term, phoneme, emit);
         case 'space':
-            return beforeHigh(term, emit);
+            return beforeHigh(trace, term, emit);
         case 'newline':
-            return beforeHigh({
+            return beforeHigh(trace, {
                 x: 0,
                 y: term.y + 2,
                 empty: true,
             }, emit(term));
         case 'error':
-            return beforeHigh(appendError(term, phoneme.error), emit);
+            return beforeHigh(trace, appendError(term, phoneme), emit);
         }
     };
 }
 
-function high(term, vowelConnector, consonantConnector, emit) {
+function high(trace, term, vowelConnector, consonantConnector, emit) {
     return (phoneme) => {
-        console.log('high', phoneme);
+        step(trace, {state: 'high', phoneme, term, connectors: {vowel: vowelConnector, consonant: consonantConnector}});
         if (phoneme == null) {
             return alignerEnd(emit(term)(null));
         }
         switch (phoneme.type) {
         case 'vowel':
-            return low({
+            return low(trace, {
                 x: term.x,
                 y: term.y + 1,
                 empty: true,
-            }, {
+            }, claim({
                 empty: false,
                 north: phoneme.vowel,
-            }, {
+            }, 'north', phoneme), {
                 empty: false,
                 center: 'm',
-            }, emit({
-                ...term,
-                ...consonantConnector,
+                placeholders: ['center'],
+            }, emit(claim({
+                ...connect(term, consonantConnector),
                 empty: false,
                 south: phoneme.vowel,
-            }));
+            }, 'south', phoneme)));
         case 'diphthong':
-            return low({
+            return low(trace, claim({
                 x: term.x,
                 y: term.y + 1,
                 empty: false,
                 north: phoneme.second,
-            }, {
+            }, 'north', phoneme), {
             }, {
                 empty: false,
                 center: 'm',
-            }, emit({
-                ...term,
-                ...consonantConnector,
+                placeholders: ['center'],
+            }, emit(claim({
+                ...connect(term, consonantConnector),
                 empty: false,
                 south: phoneme.first,
-            }));
+            }, 'south', phoneme)));
         case 'consonant':
-            return afterHigh({
-                ...term,
-                ...vowelConnector,
+            return afterHigh(trace, claim({
+                ...connect(term, vowelConnector),
                 empty: false,
                 center: phoneme.consonant,
-            }, {
+            }, 'center', phoneme), {
                 empty: false,
                 south: 'e',
+                placeholders: ['south'],
             }, {
                 empty: false,
                 north: 'e',
+                placeholders: ['north'],
             }, emit);
         case 'space':
             if (term.west || term.north) {
                 // If the previous word ended with a diphthong,
                 // land on a trailing consonant connector
                 // and begin the next word one column over.
-                return beforeHigh({
+                return beforeHigh(trace, {
                     x: term.x + 1,
                     y: term.y,
                     empty: true,
@@ -348,16 +1134,32 @@ function high(term, vowelConnector, consonantConnector, emit) {
                     ...term,
                     empty: false,
                     center: 'm',
+                    placeholders: ['center'],
                 }));
             }
             // Otherwise, just ditch the consonant and vowel connectors.
-            return beforeHigh(term, emit);
+            return beforeHigh(trace, term, emit);
+        case 'numeral': case 'period': case 'comma': case 'question': case 'quote':
+            // Numerals and punctuation close the word like a space.
+            if (term.west || term.north) {
+                return writeApart(trace, {
+                    x: term.x + 1,
+                    y: term.y,
+                    empty: true,
+                }, phoneme, emit({
+                    ...term,
+                    empty: false,
+                    center: 'm',
+                    placeholders: ['center'],
+                }));
+            }
+            return writeApart(trace, term, phoneme, emit);
         case 'newline':
             if (term.west) {
                 // If the previous word ended with a diphthong,
                 // land on a trailing consonant connector
                 // and begin the next word on the next line.
-                return beforeHigh({
+                return beforeHigh(trace, {
                     x: 0,
                     y: term.y + 2,
                     empty: true,
@@ -365,234 +1167,309 @@ function high(term, vowelConnector, consonantConnector, emit) {
                     ...term,
                     empty: false,
                     center: 'm',
+                    placeholders: ['center'],
                 }));
             }
-            return beforeHigh({
+            return beforeHigh(trace, {
                 x: 0,
                 y: term.y + 2,
                 empty: true,
             }, emit(term));
         case 'error':
-            return high(appendError(term, phoneme.error), vowelConnector, consonantConnector, emit);
+            return high(trace, appendError(term, phoneme), vowelConnector, consonantConnector, emit);
         }
         return alignerEnd(emit(null));
     };
 }
 
-function afterHigh(term, firstVowelConnector, secondVowelConnector, emit) {
+function afterHigh(trace, term, firstVowelConnector, secondVowelConnector, emit) {
     return (phoneme) => {
-        console.log('after high', phoneme);
+        step(trace, {state: 'afterHigh', phoneme, term, connectors: {firstVowel: firstVowelConnector, secondVowel: secondVowelConnector}});
         if (phoneme == null) {
             return alignerEnd(emit(term)(null));
         }
         switch (phoneme.type) {
         case 'vowel':
-            return low({
+            return low(trace, {
                 x: term.x,
                 y: term.y + 1,
                 empty: true,
-            }, {
+            }, claim({
                 empty: false,
                 north: phoneme.vowel,
-            }, {
+            }, 'north', phoneme), {
                 empty: false,
                 center: 'm',
-            }, emit({
+                placeholders: ['center'],
+            }, emit(claim({
                 ...term,
                 empty: false,
                 south: phoneme.vowel,
-            }));
+            }, 'south', phoneme)));
         case 'diphthong':
-            return low({
+            return low(trace, claim({
                 x: term.x,
                 y: term.y + 1,
                 empty: false,
                 north: phoneme.second,
-            }, {
+            }, 'north', phoneme), {
             }, {
                 empty: false,
                 center: 'm',
-            }, emit({
+                placeholders: ['center'],
+            }, emit(claim({
                 ...term,
                 empty: false,
                 south: phoneme.first,
-            }));
+            }, 'south', phoneme)));
         case 'consonant':
-            return afterLow({
+            return afterLow(trace, claim({
                 x: term.x,
                 y: term.y + 1,
                 ...secondVowelConnector,
                 empty: false,
                 center: phoneme.consonant,
-            }, {
+            }, 'center', phoneme), {
                 empty: false,
                 east: 'e',
+                placeholders: ['east'],
             }, {
                 empty: false,
                 west: 'e',
-            }, emit({
-                ...term,
-                ...firstVowelConnector,
-            }));
+                placeholders: ['west'],
+            }, emit(connect(term, firstVowelConnector)));
         case 'space':
-            return beforeHigh({
+            return beforeHigh(trace, {
                 x: term.x + 1,
                 y: term.y,
                 empty: true,
             }, emit(term));
+        case 'numeral': case 'period': case 'comma': case 'question': case 'quote':
+            return writeApart(trace, {
+                x: term.x + 1,
+                y: term.y,
+                empty: true,
+            }, phoneme, emit(term));
         case 'newline':
-            return beforeHigh({
+            return beforeHigh(trace, {
                 x: 0,
                 y: term.y + 2,
                 empty: true,
             }, emit(term));
         case 'error':
-            return afterHigh(appendError(term, phoneme.error), firstVowelConnector, secondVowelConnector, emit);
+            return afterHigh(trace, appendError(term, phoneme), firstVowelConnector, secondVowelConnector, emit);
         }
         return alignerEnd(emit(null));
     };
 }
 
-function low(term, vowelConnector, consonantConnector, emit) {
+function low(trace, term, vowelConnector, consonantConnector, emit) {
     return (phoneme) => {
-        console.log('low', phoneme);
+        step(trace, {state: 'low', phoneme, term, connectors: {vowel: vowelConnector, consonant: consonantConnector}});
         if (phoneme == null) {
             return alignerEnd(emit(term)(null));
         }
         switch (phoneme.type) {
         case 'vowel':
-            return high({
+            return high(trace, {
                 x: term.x + 1,
                 y: term.y - 1,
                 empty: true,
-            }, {
+            }, claim({
                 empty: false,
                 west: phoneme.vowel,
-            }, {
+            }, 'west', phoneme), {
                 empty: false,
                 center: 'm',
-            }, emit({
-                ...term,
-                ...consonantConnector,
+                placeholders: ['center'],
+            }, emit(claim({
+                ...connect(term, consonantConnector),
                 empty: false,
                 east: phoneme.vowel,
-            }));
+            }, 'east', phoneme)));
         case 'diphthong':
-            return high({
+            return high(trace, claim({
                 x: term.x + 1,
                 y: term.y - 1,
                 empty: false,
                 west: phoneme.second,
-            }, {
+            }, 'west', phoneme), {
             }, {
                 empty: false,
                 center: 'm',
-            }, emit({
-                ...term,
-                ...consonantConnector,
+                placeholders: ['center'],
+            }, emit(claim({
+                ...connect(term, consonantConnector),
                 empty: false,
                 east: phoneme.first,
-            }));
+            }, 'east', phoneme)));
         case 'consonant':
-            return afterLow({
-                ...term,
-                ...vowelConnector,
+            return afterLow(trace, claim({
+                ...connect(term, vowelConnector),
                 empty: false,
                 center: phoneme.consonant,
-            }, {
+            }, 'center', phoneme), {
                 empty: false,
                 east: 'e',
+                placeholders: ['east'],
             }, {
                 empty: false,
                 west: 'e',
+                placeholders: ['west'],
             }, emit);
         case 'space':
-            return afterLow(term, {}, {}, emit);
+            return afterLow(trace, term, {}, {}, emit);
+        case 'numeral': case 'period': case 'comma': case 'question': case 'quote':
+            return writeApart(trace, {
+                x: term.x + 1,
+                y: term.y - 1,
+                empty: true,
+            }, phoneme, emit(term));
         case 'newline':
-            return beforeHigh({
+            return beforeHigh(trace, {
                 x: 0,
                 y: term.y + 1,
                 empty: true,
             }, emit(term));
         case 'error':
-            return low(appendError(term, phoneme.error), vowelConnector, consonantConnector, emit);
+            return low(trace, appendError(term, phoneme), vowelConnector, consonantConnector, emit);
         }
     };
 }
 
-function afterLow(term, firstVowelConnector, secondVowelConnector, emit) {
+function afterLow(trace, term, firstVowelConnector, secondVowelConnector, emit) {
     return (phoneme) => {
-        console.log('after low', phoneme);
+        step(trace, {state: 'afterLow', phoneme, term, connectors: {firstVowel: firstVowelConnector, secondVowel: secondVowelConnector}});
         if (phoneme == null) {
             return alignerEnd(emit(term))(null);
         }
         switch (phoneme.type) {
         case 'vowel':
-            return high({
+            return high(trace, {
                 x: term.x + 1,
                 y: term.y - 1,
                 empty: true,
-            }, {
+            }, claim({
                 empty: false,
                 west: phoneme.vowel,
-            }, {
+            }, 'west', phoneme), {
                 empty: false,
                 center: 'm',
-            }, emit({
+                placeholders: ['center'],
+            }, emit(claim({
                 ...term,
                 empty: false,
                 east: phoneme.vowel,
-            }));
+            }, 'east', phoneme)));
         case 'diphthong':
-            return high({
+            return high(trace, claim({
                 x: term.x + 1,
                 y: term.y - 1,
                 empty: false,
                 west: phoneme.second,
-            }, {
+            }, 'west', phoneme), {
             }, {
                 empty: false,
                 center: 'm',
-            }, emit({
+                placeholders: ['center'],
+            }, emit(claim({
                 ...term,
                 empty: false,
                 east: phoneme.first,
-            }));
+            }, 'east', phoneme)));
         case 'consonant':
-            return afterHigh({
+            return afterHigh(trace, claim({
                 x: term.x + 1,
                 y: term.y - 1,
                 ...secondVowelConnector,
                 empty: false,
                 center: phoneme.consonant,
-            }, {
+            }, 'center', phoneme), {
                 empty: false,
                 south: 'e',
+                placeholders: ['south'],
             }, {
                 empty: false,
                 north: 'e',
-            }, emit({
-                ...term,
-                ...firstVowelConnector,
-            }));
+                placeholders: ['north'],
+            }, emit(connect(term, firstVowelConnector)));
         case 'space':
-            return high({
+            return high(trace, {
                 x: term.x + 1,
                 y: term.y - 1,
                 empty: true,
             }, {}, {}, emit(term));
+        case 'numeral': case 'period': case 'comma': case 'question': case 'quote':
+            return writeApart(trace, {
+                x: term.x + 1,
+                y: term.y - 1,
+                empty: true,
+            }, phoneme, emit(term));
         case 'newline':
-            return beforeHigh({
+            return beforeHigh(trace, {
                 x: 0,
                 y: term.y + 1,
                 empty: true,
             }, emit(term));
         case 'error':
-            return afterLow(appendError(term, phoneme.error), firstVowelConnector, secondVowelConnector, emit);
+            return afterLow(trace, appendError(term, phoneme), firstVowelConnector, secondVowelConnector, emit);
         }
     };
 }
 
+// writeApart writes a numeral or a punctuation mark, which stand apart from
+// the words around them.
+function writeApart(trace, term, phoneme, emit) {
+    if (phoneme.type === 'numeral') {
+        return writeNumeral(trace, term, phoneme, emit);
+    }
+    return writePunctuation(trace, term, phoneme, emit);
+}
+
+// writePunctuation writes a punctuation mark on an empty term on the high
+// row, and expects the next word in the following column.
+function writePunctuation(trace, term, {type, side, source}, emit) {
+    return beforeHigh(trace, {
+        x: term.x + 1,
+        y: term.y,
+        empty: true,
+    }, emit({
+        ...term,
+        empty: false,
+        punctuation: side == null ? type : `${type}-${side}`,
+        sources: {center: source},
+    }));
+}
+
+// writeNumeral writes the digits of a numeral on the zig-zag, starting from
+// an empty term on the high row, so the numeral begins on the zig like any
+// word.
+// Each digit but the last links to the next, down from the high row or up
+// from the low row.
+// Then the aligner expects the next word in the following column.
+function writeNumeral(trace, term, {digits, sources}, emit) {
+    for (let i = 0; i < digits.length; i++) {
+        const high = i % 2 === 0;
+        let glyph = {
+            ...(i === 0 ? term : {}),
+            x: term.x + Math.floor(i / 2),
+            y: term.y + (high ? 0 : 1),
+            empty: false,
+            numeral: digits[i],
+            sources: {center: sources[i]},
+        };
+        if (i < digits.length - 1) {
+            glyph = {...glyph, link: high ? 'south' : 'east'};
+        }
+        emit = emit(glyph);
+    }
+    return beforeHigh(trace, {
+        x: term.x + Math.ceil(digits.length / 2),
+        y: term.y,
+        empty: true,
+    }, emit);
+}
+
 function alignerEnd(emit) {
     return (phoneme) => {
         // wat?
@@ -600,13 +1477,65 @@ function alignerEnd(emit) {
     };
 }
 
-function appendError(term, error) {
+function step(trace, event) {
+    if (trace != null) {
+        trace({type: 'step', ...event});
+    }
+}
+
+// connect applies a connector to a term.
+// Connectors that introduce placeholder strokes name them in a placeholders
+// array, which accumulates on the term so that the decoder can later tell
+// them apart from strokes that stand for phonemes of the text.
+// Connectors that carry a vowel forward also carry its source.
+function connect(term, connector) {
+    const placeholders = [...(term.placeholders || []), ...(connector.placeholders || [])];
+    const sources = {...term.sources, ...connector.sources};
+    if (placeholders.length === 0) {
+        return {...term, ...connector, sources};
+    }
+    return {...term, ...connector, sources, placeholders};
+}
+
+// claim notes that the phoneme at a position of a term came from the given
+// phoneme's source range in the text, and that the position is a placeholder
+// if the phoneme stands in for one.
+// A glyph takes the marking of any phoneme it bears.
+function claim(term, position, phoneme) {
+    const claimed = {
+        ...term,
+        ...(phoneme.marking != null ? {marking: phoneme.marking} : {}),
+        sources: {...term.sources, [position]: phoneme.source},
+    };
+    if (phoneme.placeholder) {
+        return {...claimed, placeholders: [...(term.placeholders || []), position]};
+    }
+    return claimed;
+}
+
+// appendError notes a diagnostic for an error phoneme on the glyph that was
+// in progress when it arrived.
+function appendError(term, {code, message, source}) {
+    const error = {
+        code,
+        message,
+        offset: source.start,
+        length: source.end - source.start,
+    };
     return {
         ...term,
         errors: [...(term.errors || []), error],
     };
 }
 
+// diagnose gathers the diagnostics from every glyph, in the order of the
+// text.
+function diagnose(glyphs) {
+    return glyphs
+        .flatMap(({errors}) => errors || [])
+        .sort((a, b) => a.offset - b.offset);
+}
+
 function io(glyph) {
     return {
         left: glyph.dental ? 'outer' : 'inner',
@@ -622,22 +1551,30 @@ function measure(glyphs) {
 }
 
 // embelish receives an entire glyph model,
-// removes the empty slots, and translates directives like "e from west" into
+// removes the empty slots (except those that bear errors), and translates directives like "e from west" into
 // the corresponding label names for strokes in the SVG file.
+// Each glyph also lists the names of its strokes in the order a scribe
+// writes them, in strokes: the consonant, numeral, or punctuation at the
+// center first, then the vowel connectors in the order of connectorOrder.
 // The renderer accepts the resulting model.
 function embelish(glyphs) {
-    return glyphs.filter(({empty}) => !empty).map((glyph) => ({
-        ...glyph,
-        ...(consonantGlyphs[glyph.center] || {}),
-    })).map((glyph, i, glyphs) => {
+    return glyphs.filter(({empty, errors}) => !empty || errors).map((glyph) => {
+        const strokes = [
+            ...(consonantGlyphs[glyph.center] || []),
+            ...numeralStrokes(glyph),
+            ...(glyph.punctuation != null ? [glyph.punctuation] : []),
+        ];
+        return {...glyph, ...labels(strokes), strokes};
+    }).map((glyph, i, glyphs) => {
         const next = glyphs[i+1] || {};
         const {left, right} = io(glyph);
         const {left: nextLeft, right: nextRight} = io(next);
+        const connectors = {};
         if (glyph.west) {
-            glyph = {...glyph, [glyph.west + '-west-' + left]: true};
+            connectors.west = glyph.west + '-west-' + left;
         }
         if (glyph.north) {
-            glyph = {...glyph, [glyph.north + '-north-' + left]: true};
+            connectors.north = glyph.north + '-north-' + left;
         }
         if (glyph.east) {
             let name = glyph.east + '-east-' + right;
@@ -646,7 +1583,7 @@ function embelish(glyphs) {
                 name = longName;
                 delete next.west;
             }
-            glyph = {...glyph, [name]: true};
+            connectors.east = name;
         }
         if (glyph.south) {
             let name = glyph.south + '-south-' + right;
@@ -655,47 +1592,75 @@ function embelish(glyphs) {
                 name = longName;
                 delete next.north;
             }
-            glyph = {...glyph, [name]: true};
+            connectors.south = name;
         }
-        return glyph;
+        const vowelStrokes = connectorOrder.filter((position) => connectors[position] != null)
+            .map((position) => connectors[position]);
+        return {...glyph, ...labels(vowelStrokes), strokes: [...glyph.strokes, ...vowelStrokes]};
     });
 }
 
+// A glyph's vowel connectors are written after its consonant, first the ones
+// that reach back to the previous glyph, then the ones that reach on to the
+// next.
+const connectorOrder = ['west', 'north', 'south', 'east'];
+
+// labels marks each of the named strokes as present on a glyph.
+function labels(strokes) {
+    return Object.fromEntries(strokes.map((stroke) => [stroke, true]));
+}
+
+// numeralStrokes names the strokes for a digit of a numeral and its link to
+// the next digit, if any.
+// Digits are written with a dot for each one and a bar for five, and zero as
+// a shell.
+function numeralStrokes({numeral, link}) {
+    if (numeral == null) {
+        return [];
+    }
+    if (link == null) {
+        return ['numeral-' + numeral];
+    }
+    return ['numeral-' + numeral, 'numeral-link-' + link];
+}
+
 // How to construct a glyph for each consonant, using the names of strokes
-// (inkscape layer labels).
+// (inkscape layer labels), in the order they are written: the base of the
+// consonant, like "labial" and "dental", before the marks of its manner, like
+// "plosive" and "fricative".
 const consonantGlyphs = {
-    l:  {'l': true},
-    r:  {'r': true},
-    w:  {'consonantal-w': true},
-    y:  {'consonantal-y': true},
-
-    m:  {'labial': true},
-    b:  {'labial': true, 'plosive': true},
-    p:  {'labial': true, 'plosive': true, 'plosive-unvoiced': true},
-    v:  {'labial': true, 'fricative': true},
-    f:  {'labial': true, 'fricative': true, 'fricative-unvoiced': true},
-
-    n:  {'labial': true, 'dental': true},
-    d:  {'labial': true, 'dental': true, 'plosive': true},
-    t:  {'labial': true, 'dental': true, 'plosive': true, 'plosive-unvoiced': true},
-    dh: {'labial': true, 'dental': true, 'fricative': true},
-    th: {'labial': true, 'dental': true, 'fricative': true, 'fricative-unvoiced': true},
-
-    ng: {'labial': true, 'palatal': true},
-    g:  {'labial': true, 'palatal': true, 'plosive': true},
-    k:  {'labial': true, 'palatal': true, 'plosive': true, 'plosive-unvoiced': true},
-    gh: {'labial': true, 'palatal': true, 'fricative': true},
-    kh: {'labial': true, 'palatal': true, 'fricative': true, 'fricative-unvoiced': true},
-
-    dz: {'labial': true, 'dental': true, 'dental-alveolar': true, 'plosive': true},
-    ts: {'labial': true, 'dental': true, 'dental-alveolar': true, 'plosive': true, 'plosive-unvoiced': true},
-    z:  {'labial': true, 'dental': true, 'dental-alveolar': true, 'fricative': true},
-    s:  {'labial': true, 'dental': true, 'dental-alveolar': true, 'fricative': true, 'fricative-unvoiced': true},
-
-    dj: {'labial': true, 'palatal': true, 'palatal-alveolar': true, 'plosive': true},
-    ch: {'labial': true, 'palatal': true, 'palatal-alveolar': true, 'plosive': true, 'plosive-unvoiced': true},
-    j:  {'labial': true, 'palatal': true, 'palatal-alveolar': true, 'fricative': true},
-    sh: {'labial': true, 'palatal': true, 'palatal-alveolar': true, 'fricative': true, 'fricative-unvoiced': true},
+    l:  ['l'],
+    r:  ['r'],
+    w:  ['consonantal-w'],
+    y:  ['consonantal-y'],
+
+    m:  ['labial'],
+    b:  ['labial', 'plosive'],
+    p:  ['labial', 'plosive', 'plosive-unvoiced'],
+    v:  ['labial', 'fricative'],
+    f:  ['labial', 'fricative', 'fricative-unvoiced'],
+
+    n:  ['labial', 'dental'],
+    d:  ['labial', 'dental', 'plosive'],
+    t:  ['labial', 'dental', 'plosive', 'plosive-unvoiced'],
+    dh: ['labial', 'dental', 'fricative'],
+    th: ['labial', 'dental', 'fricative', 'fricative-unvoiced'],
+
+    ng: ['labial', 'palatal'],
+    g:  ['labial', 'palatal', 'plosive'],
+    k:  ['labial', 'palatal', 'plosive', 'plosive-unvoiced'],
+    gh: ['labial', 'palatal', 'fricative'],
+    kh: ['labial', 'palatal', 'fricative', 'fricative-unvoiced'],
+
+    dz: ['labial', 'dental', 'dental-alveolar', 'plosive'],
+    ts: ['labial', 'dental', 'dental-alveolar', 'plosive', 'plosive-unvoiced'],
+    z:  ['labial', 'dental', 'dental-alveolar', 'fricative'],
+    s:  ['labial', 'dental', 'dental-alveolar', 'fricative', 'fricative-unvoiced'],
+
+    dj: ['labial', 'palatal', 'palatal-alveolar', 'plosive'],
+    ch: ['labial', 'palatal', 'palatal-alveolar', 'plosive', 'plosive-unvoiced'],
+    j:  ['labial', 'palatal', 'palatal-alveolar', 'fricative'],
+    sh: ['labial', 'palatal', 'palatal-alveolar', 'fricative', 'fricative-unvoiced'],
 };
 
 // A list of current SVG labels.
@@ -0,0 +1,137 @@
+// This is a small XML reader and writer, just enough to read the stroke
+// templates out of emone.svg and write standalone SVG without a browser DOM.
+//
+// Elements are plain objects, {name, attributes, children}, where attributes
+// is an object mapping qualified names to values and children is an array of
+// elements and strings of text.
+// Comments, processing instructions, and document type declarations are
+// dropped.
+
+const entities = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+};
+
+// parseXml returns the root element of an XML document.
+export function parseXml(text) {
+    const root = {name: null, attributes: {}, children: []};
+    const stack = [root];
+    let index = 0;
+
+    function skipPast(terminator) {
+        const end = text.indexOf(terminator, index);
+        if (end < 0) {
+            throw new Error(`expected ${terminator} after offset ${index}`);
+        }
+        const skipped = text.slice(index, end);
+        index = end + terminator.length;
+        return skipped;
+    }
+
+    while (index < text.length) {
+        const parent = stack[stack.length - 1];
+        if (text.startsWith('<!--', index)) {
+            skipPast('-->');
+        } else if (text.startsWith('<![CDATA[', index)) {
+            index += '<![CDATA['.length;
+            parent.children.push(skipPast(']]>'));
+        } else if (text.startsWith('<?', index) || text.startsWith('<!', index)) {
+            skipPast('>');
+        } else if (text.startsWith('</', index)) {
+            index += 2;
+            const name = skipPast('>').trim();
+            if (name !== parent.name) {
+                throw new Error(`expected </${parent.name}> but found </${name}>`);
+            }
+            stack.pop();
+        } else if (text[index] === '<') {
+            index += 1;
+            const element = readElement();
+            parent.children.push(element);
+            if (!element.closed) {
+                stack.push(element);
+            }
+            delete element.closed;
+        } else {
+            const end = text.indexOf('<', index);
+            const stop = end < 0 ? text.length : end;
+            parent.children.push(decode(text.slice(index, stop)));
+            index = stop;
+        }
+    }
+
+    if (stack.length !== 1) {
+        throw new Error(`expected </${stack[stack.length - 1].name}> before end of document`);
+    }
+    const element = root.children.find((child) => typeof child === 'object');
+    if (element == null) {
+        throw new Error('expected a root element');
+    }
+    return element;
+
+    function readElement() {
+        const name = /^[^\s/>]+/.exec(text.slice(index, index + 256))[0];
+        index += name.length;
+        const attributes = {};
+        const attributePattern = /\s*([^\s=/>]+)\s*=\s*("([^"]*)"|'([^']*)')|\s*(\/?)>/y;
+        for (;;) {
+            attributePattern.lastIndex = index;
+            const match = attributePattern.exec(text);
+            if (match == null) {
+                throw new Error(`malformed tag <${name}> at offset ${index}`);
+            }
+            index = attributePattern.lastIndex;
+            if (match[1] == null) {
+                return {name, attributes, children: [], closed: match[5] === '/'};
+            }
+            attributes[match[1]] = decode(match[3] != null ? match[3] : match[4]);
+        }
+    }
+}
+
+function decode(text) {
+    return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (entity, name) => {
+        if (name[0] === '#') {
+            return String.fromCodePoint(name[1] === 'x' ?
+                parseInt(name.slice(2), 16) :
+                parseInt(name.slice(1), 10));
+        }
+        return entities[name] != null ? entities[name] : entity;
+    });
+}
+
+// escapeXml makes text safe for use in element content and quoted attribute
+// values.
+export function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// serializeXml writes an element and its descendants back to text.
+// The optional filter receives each attribute name and may return false to
+// omit it, for example to drop editor-specific namespaced attributes.
+export function serializeXml(node, filter = () => true) {
+    if (typeof node === 'string') {
+        return escapeXml(node);
+    }
+    let text = '<' + node.name;
+    for (const [name, value] of Object.entries(node.attributes)) {
+        if (filter(name)) {
+            text += ` ${name}="${escapeXml(value)}"`;
+        }
+    }
+    if (node.children.length === 0) {
+        return text + '/>';
+    }
+    text += '>';
+    for (const child of node.children) {
+        text += serializeXml(child, filter);
+    }
+    return text + '</' + node.name + '>';
+}